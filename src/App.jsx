@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef, useSyncExternalStore } from 'react'
 import './App.css'
 import { Trophy } from 'lucide-react'
 
@@ -15,18 +15,9 @@ import { GameProvider, useGame } from './context/GameContext'
 import { TooltipProvider } from './components/ui/tooltip'
 
 // Import utilities
-import {
-  TRANSFORMERS,
-  applyTransformation,
-  renameVariables,
-  flattenControlFlow,
-  removeDeadCode
-} from './utils/transformers'
-import {
-  calculateScore,
-  calculateReadabilityScore,
-  getChallengeScore
-} from './utils/scoring'
+import { listTransformers, subscribeTransformers } from './utils/transformers'
+import { BUILTIN_RECIPES } from './utils/recipes'
+import { runTransformJob } from './utils/transformEngine'
 
 // Main App component wrapper
 function AppContent() {
@@ -68,278 +59,88 @@ var d=a("World");console.log(d);`.trim();
     }
   }, [mode, originalCode, obfuscatedCode, setOriginalCode]);
 
+  // Registered transformers, including ones added by plugins after the first render
+  const transformers = useSyncExternalStore(subscribeTransformers, listTransformers);
+
   // State for readability score
   const [readabilityScore, setReadabilityScore] = useState(0);
 
-  // Handle code input change
-  const handleCodeInputChange = (code) => {
+  // Bumped when the input changes or the working copy is reset, so older jobs' results are dropped
+  const inputGeneration = useRef(0);
+
+  // Handle code input change; an opened bundle module brings the working copy it was left with
+  const handleCodeInputChange = (code, workingCopy = '') => {
+    inputGeneration.current += 1;
     setOriginalCode(code);
     // Reset transformed code when original code changes
-    setTransformedCode('');
+    setTransformedCode(workingCopy);
     // Reset readability score
     setReadabilityScore(0);
   };
 
-  // Handle applying a transformation
-  const handleApplyTransform = (transformerId, options = {}) => {
-    if (!originalCode) return;
-
-    try {
-      // Apply the transformation
-      const result = applyTransformation(originalCode, transformerId, options);
-      setTransformedCode(result.code);
-
-      // Calculate readability score
-      const newReadabilityScore = calculateReadabilityScore(result.code);
-      setReadabilityScore(newReadabilityScore);
-
-      // Calculate score using the new challenge scoring system
-      const challengeScore = getChallengeScore(
-        originalCode,
-        result.code,
-        transformHistory,
-        true // isManualMode = true for manual mode
-      );
+  // Transformations apply to the latest result, or to the original code before the first one
+  const workingCode = transformedCode || originalCode;
 
-      // Use the legacy scoring system as a fallback
-      const legacyScore = calculateScore(originalCode, result.code, transformerId);
-
-      // Use the challenge score if available, otherwise use the legacy score
-      const transformScore = challengeScore.score || legacyScore;
-
-      // Update total score
-      const newScore = score + transformScore;
-      setScore(newScore);
-
-      // Add to history with the detailed breakdown
-      const historyEntry = {
-        transformerId,
-        options,
-        originalCode,
-        transformedCode: result.code,
-        score: transformScore,
-        breakdown: challengeScore.breakdown, // Include the detailed score breakdown
-        timestamp: new Date()
-      };
-
-      setTransformHistory(prev => [...prev, historyEntry]);
-    } catch (error) {
-      console.error('Transformation error:', error);
-      // In a real app, you would show an error message to the user
-    }
+  // Make a job's result the new working copy, add its score and one history entry per step
+  const keepResult = (result) => {
+    setTransformedCode(result.code);
+    setReadabilityScore(result.readabilityScore);
+    setScore(prev => prev + result.score);
+    setTransformHistory(prev => [...prev, ...result.entries]);
   };
 
-  // Handler functions for transform actions
-  const handleRenameVariables = () => {
-    console.log('Renaming variables...', { originalCode });
-    if (!originalCode) {
-      console.error('No original code to transform');
-      return;
+  // Run a job in the transformation worker; it is checked for equivalence unless the caller
+  // sets `verify: false`. A result that behaves differently from its input is held back: the
+  // outcome carries `keep` to accept it anyway. Resolves to `{ code, equivalence, keep }`,
+  // or null when the job did not finish or the input changed in the meantime.
+  const applyJob = async (job) => {
+    if (!workingCode) {
+      console.error('No code to transform');
+      return null;
     }
-    try {
-      // Apply the rename variables transformation
-      const result = renameVariables(originalCode);
-      setTransformedCode(result.code);
 
-      // Calculate readability score
-      const newReadabilityScore = calculateReadabilityScore(result.code);
-      setReadabilityScore(newReadabilityScore);
-
-      // Calculate score using the new challenge scoring system
-      const challengeScore = getChallengeScore(
-        originalCode,
-        result.code,
-        transformHistory,
-        true // isManualMode = true for manual mode
-      );
-
-      // Use the legacy scoring system as a fallback
-      const legacyScore = calculateScore(originalCode, result.code, 'rename-variables');
-
-      // Use the challenge score if available, otherwise use the legacy score
-      const transformScore = challengeScore.score || legacyScore;
-
-      // Update total score
-      const newScore = score + transformScore;
-      setScore(newScore);
-
-      // Add to history with the detailed breakdown
-      const historyEntry = {
-        transformerId: 'rename-variables',
-        options: {},
-        originalCode,
-        transformedCode: result.code,
-        score: transformScore,
-        breakdown: challengeScore.breakdown, // Include the detailed score breakdown
-        timestamp: new Date()
-      };
-
-      setTransformHistory(prev => [...prev, historyEntry]);
-    } catch (error) {
-      console.error('Rename variables error:', error);
-    }
-  };
-
-  const handleFlattenControlFlow = () => {
-    console.log('Flattening control flow...', { originalCode });
-    if (!originalCode) {
-      console.error('No original code to transform');
-      return;
-    }
+    const generation = inputGeneration.current;
+    let result;
     try {
-      // Apply the flatten control flow transformation
-      const result = flattenControlFlow(originalCode);
-      setTransformedCode(result.code);
-
-      // Calculate readability score
-      const newReadabilityScore = calculateReadabilityScore(result.code);
-      setReadabilityScore(newReadabilityScore);
-
-      // Calculate score using the new challenge scoring system
-      const challengeScore = getChallengeScore(
-        originalCode,
-        result.code,
-        transformHistory,
-        true // isManualMode = true for manual mode
-      );
-
-      // Use the legacy scoring system as a fallback
-      const legacyScore = calculateScore(originalCode, result.code, 'flatten-control-flow');
-
-      // Use the challenge score if available, otherwise use the legacy score
-      const transformScore = challengeScore.score || legacyScore;
-
-      // Update total score
-      const newScore = score + transformScore;
-      setScore(newScore);
-
-      // Add to history with the detailed breakdown
-      const historyEntry = {
-        transformerId: 'flatten-control-flow',
-        options: {},
-        originalCode,
-        transformedCode: result.code,
-        score: transformScore,
-        breakdown: challengeScore.breakdown, // Include the detailed score breakdown
-        timestamp: new Date()
-      };
-
-      setTransformHistory(prev => [...prev, historyEntry]);
-    } catch (error) {
-      console.error('Flatten control flow error:', error);
-    }
-  };
-
-  const handleRemoveDeadCode = () => {
-    console.log('Removing dead code...', { originalCode });
-    if (!originalCode) {
-      console.error('No original code to transform');
-      return;
+      result = await runTransformJob({ ...job, code: workingCode, history: transformHistory });
+    } catch {
+      // Cancelled, timed out or failed; the status bar shows why
+      return null;
     }
-    try {
-      // Apply the remove dead code transformation
-      const result = removeDeadCode(originalCode);
-      setTransformedCode(result.code);
-
-      // Calculate readability score
-      const newReadabilityScore = calculateReadabilityScore(result.code);
-      setReadabilityScore(newReadabilityScore);
-
-      // Calculate score using the new challenge scoring system
-      const challengeScore = getChallengeScore(
-        originalCode,
-        result.code,
-        transformHistory,
-        true // isManualMode = true for manual mode
-      );
-
-      // Use the legacy scoring system as a fallback
-      const legacyScore = calculateScore(originalCode, result.code, 'remove-dead-code');
-
-      // Use the challenge score if available, otherwise use the legacy score
-      const transformScore = challengeScore.score || legacyScore;
-
-      // Update total score
-      const newScore = score + transformScore;
-      setScore(newScore);
 
-      // Add to history with the detailed breakdown
-      const historyEntry = {
-        transformerId: 'remove-dead-code',
-        options: {},
-        originalCode,
-        transformedCode: result.code,
-        score: transformScore,
-        breakdown: challengeScore.breakdown, // Include the detailed score breakdown
-        timestamp: new Date()
-      };
-
-      setTransformHistory(prev => [...prev, historyEntry]);
-    } catch (error) {
-      console.error('Remove dead code error:', error);
+    // The input changed while the job ran
+    if (generation !== inputGeneration.current) {
+      return null;
     }
-  };
 
-  const handleAutoDeobfuscate = () => {
-    console.log('Auto deobfuscating...', { originalCode });
-    if (!originalCode) {
-      console.error('No original code to transform');
-      return;
+    if (result.equivalence && result.equivalence.status === 'divergent') {
+      return { code: result.code, equivalence: result.equivalence, keep: () => keepResult(result) };
     }
-    try {
-      // Apply multiple transformations in sequence
-      let code = originalCode;
-
-      // Step 1: Rename variables
-      const renameResult = renameVariables(code);
-      code = renameResult.code;
-
-      // Step 2: Flatten control flow
-      const flattenResult = flattenControlFlow(code);
-      code = flattenResult.code;
-
-      // Step 3: Remove dead code
-      const removeResult = removeDeadCode(code);
-      code = removeResult.code;
-
-      // Set the final transformed code
-      setTransformedCode(code);
 
-      // Calculate readability score
-      const newReadabilityScore = calculateReadabilityScore(code);
-      setReadabilityScore(newReadabilityScore);
+    keepResult(result);
+    return { code: result.code, equivalence: result.equivalence, keep: null };
+  };
 
-      // Calculate score using the new challenge scoring system
-      const challengeScore = getChallengeScore(
-        originalCode,
-        code,
-        transformHistory,
-        false // isManualMode = false for auto mode
-      );
+  // Handle applying a transformation
+  const handleApplyTransform = (transformerId, options = {}) =>
+    applyJob({ type: 'transform', transformerId, options, isManualMode: true });
 
-      // Use the challenge score if available, otherwise use a fixed score
-      const transformScore = challengeScore.score || 50;
+  // Handler functions for transform actions
+  const handleRenameVariables = () =>
+    applyJob({ type: 'transform', transformerId: 'rename-variables', options: {}, isManualMode: true });
 
-      // Update total score
-      const newScore = score + transformScore;
-      setScore(newScore);
+  const handleFlattenControlFlow = () =>
+    applyJob({ type: 'transform', transformerId: 'flatten-control-flow', options: {}, isManualMode: true });
 
-      // Add to history with the detailed breakdown
-      const historyEntry = {
-        transformerId: 'auto-deobfuscate',
-        options: {},
-        originalCode,
-        transformedCode: code,
-        score: transformScore,
-        breakdown: challengeScore.breakdown, // Include the detailed score breakdown
-        timestamp: new Date()
-      };
+  const handleRemoveDeadCode = () =>
+    applyJob({ type: 'transform', transformerId: 'remove-dead-code', options: {}, isManualMode: true });
 
-      setTransformHistory(prev => [...prev, historyEntry]);
-    } catch (error) {
-      console.error('Auto deobfuscate error:', error);
-    }
-  };
+  // Run the built-in recipe; every step is scored and recorded on its own
+  const handleAutoDeobfuscate = () => applyJob({
+    type: 'recipe',
+    recipe: BUILTIN_RECIPES.find(r => r.name === 'Auto Deobfuscate'),
+    isManualMode: false // isManualMode = false for auto mode
+  });
 
   // If no mode is selected, show the mode selection screen
   if (!mode) {
@@ -357,7 +158,7 @@ var d=a("World");console.log(d);`.trim();
         ) : (
           // Auto Mode
           <CodeTransformer
-            availableTransformers={TRANSFORMERS}
+            availableTransformers={transformers}
             initialCode={obfuscatedCode}
             transformedCode={transformedCode} // Pass the transformed code
             readabilityScore={readabilityScore} // Pass the readability score
@@ -367,12 +168,20 @@ var d=a("World");console.log(d);`.trim();
               setScore(newScore);
               if (historyEntry) {
                 setTransformHistory(prev => [...prev, historyEntry]);
+                // Keep the working copy in step, so the quick actions continue from this result
+                setTransformedCode(historyEntry.transformedCode);
               }
             }}
             onRenameVariables={handleRenameVariables}
             onFlattenControlFlow={handleFlattenControlFlow}
             onRemoveDeadCode={handleRemoveDeadCode}
             onAutoDeobfuscate={handleAutoDeobfuscate}
+            onInputChange={handleCodeInputChange}
+            onReset={() => {
+              inputGeneration.current += 1;
+              setTransformedCode('');
+              setReadabilityScore(0);
+            }}
           />
         )}
 
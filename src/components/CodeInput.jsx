@@ -1,9 +1,10 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { Textarea } from './ui/textarea';
 import { Label } from '@radix-ui/react-label';
 import { Copy, Check, Code2, FileCode } from 'lucide-react';
 import { Button } from './ui/button';
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from './ui/tooltip';
+import { originalLines } from '../utils/sourceMap';
 
 /**
  * CodeInput component for entering and editing code
@@ -14,6 +15,7 @@ import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from './ui/t
  * @param {boolean} props.readOnly - Whether the code input is read-only
  * @param {string} props.placeholder - Placeholder text for the textarea
  * @param {string} props.label - Optional label for the textarea
+ * @param {Object} props.sourceMap - Optional source map from this code back to the original code
  * @returns {JSX.Element} CodeInput component
  */
 function CodeInput({
@@ -21,12 +23,17 @@ function CodeInput({
   onInputChange,
   readOnly = false,
   placeholder = "Paste your code here...",
-  label = "Code Input"
+  label = "Code Input",
+  sourceMap = null
 }) {
   const [code, setCode] = useState(initialCode);
   const [copied, setCopied] = useState(false);
   const [lineCount, setLineCount] = useState(0);
   const [charCount, setCharCount] = useState(0);
+  const [cursorLine, setCursorLine] = useState(null);
+
+  // Original line for every line of the code, when a source map is available
+  const sourceLines = useMemo(() => originalLines(sourceMap, lineCount), [sourceMap, lineCount]);
 
   // Update internal state when initialCode prop changes
   useEffect(() => {
@@ -61,6 +68,11 @@ function CodeInput({
     }
   };
 
+  const handleSelect = (e) => {
+    const { value, selectionStart } = e.target;
+    setCursorLine(value.slice(0, selectionStart).split('\n').length);
+  };
+
   const handleCopy = () => {
     if (!code) return;
 
@@ -92,6 +104,7 @@ function CodeInput({
                     rounded-lg shadow-inner"
           value={code}
           onChange={handleChange}
+          onSelect={handleSelect}
           readOnly={readOnly}
           placeholder={placeholder}
           spellCheck="false"
@@ -138,6 +151,14 @@ function CodeInput({
           )}
         </div>
 
+        {readOnly && code && sourceMap && cursorLine && (
+          <div className="flex items-center text-cyan-400">
+            <span>
+              Line {cursorLine} ← original line {sourceLines[cursorLine - 1] ?? '–'}
+            </span>
+          </div>
+        )}
+
         {readOnly && code && (
           <div className="flex items-center text-blue-400">
             <Code2 className="h-3.5 w-3.5 mr-1.5" />
@@ -1,9 +1,18 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useMemo, useSyncExternalStore } from 'react';
 import CodeInput from './CodeInput';
 import TransformControls from './TransformControls';
 import ScoreBoard from './ScoreBoard';
-import { applyTransformation } from '../utils/transformers';
-import { calculateScore, getChallengeScore, calculateReadabilityScore } from '../utils/scoring';
+import DiffView from './DiffView';
+import { composeSourceMaps } from '../utils/sourceMap';
+import {
+  runTransformJob,
+  cancelTransformJob,
+  setTransformTimeLimit,
+  dismissTransformError,
+  getTransformEngineStatus,
+  subscribeTransformEngine
+} from '../utils/transformEngine';
+import { CheckCircle, AlertTriangle, HelpCircle, GitCompare, RotateCcw, Loader2, X, Package, FileCode } from 'lucide-react';
 
 /**
  * CodeDisplay component for displaying code with syntax highlighting, line numbers, and copy button
@@ -197,6 +206,239 @@ function CodeDisplay({ code = '', label = 'Code', placeholder = 'No code to disp
   );
 }
 
+/**
+ * EquivalenceReport component showing whether transformed code still behaves like its input
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.result - Result of checkEquivalence
+ * @param {Function} props.onAccept - Callback to keep a divergent result; omitted once it was kept
+ * @param {Function} props.onDiscard - Callback to drop a divergent result
+ * @returns {JSX.Element} EquivalenceReport component
+ */
+function EquivalenceReport({ result, onAccept, onDiscard }) {
+  if (result.status === 'equivalent') {
+    return (
+      <div className="mt-3 flex items-center text-xs text-green-400">
+        <CheckCircle className="h-4 w-4 mr-2" />
+        Same behavior in {result.stats.phasesCompared} sandbox runs
+        {result.stats.functionsCompared > 0 && ` across ${result.stats.functionsCompared} top-level functions`}
+      </div>
+    );
+  }
+
+  if (result.status === 'unverified') {
+    return (
+      <div className="mt-3 flex items-center text-xs text-gray-400">
+        <HelpCircle className="h-4 w-4 mr-2" />
+        Behavior not verified: {result.reason}
+      </div>
+    );
+  }
+
+  return (
+    <div className="mt-3 p-3 bg-red-500/10 border border-red-500/30 rounded-md text-sm">
+      <div className="flex items-center text-red-300 font-semibold">
+        <AlertTriangle className="h-4 w-4 mr-2" />
+        {onAccept ? 'The transformed code behaves differently' : 'Kept although the behavior differs'}
+      </div>
+
+      <ul className="mt-2 space-y-2">
+        {result.divergences.map((divergence, index) => (
+          <li key={index} className="text-xs text-white/80">
+            <div>
+              <span className="font-mono text-red-200">{divergence.phase}</span>: {divergence.message}
+            </div>
+            <div className="font-mono text-white/60 break-all">before: {divergence.original}</div>
+            <div className="font-mono text-white/60 break-all">after: {divergence.transformed}</div>
+          </li>
+        ))}
+      </ul>
+
+      {onAccept && (
+        <div className="mt-3 flex gap-2">
+          <button
+            onClick={onAccept}
+            className="text-xs px-2 py-1 bg-red-500/20 hover:bg-red-500/30 text-red-200 rounded transition-colors"
+          >
+            Keep anyway
+          </button>
+          <button
+            onClick={onDiscard}
+            className="text-xs px-2 py-1 bg-blue-500/20 hover:bg-blue-500/30 text-blue-300 rounded transition-colors"
+          >
+            Discard
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Headings of the engine's error codes
+ */
+const ENGINE_ERROR_TITLES = {
+  timeout: 'Timed out',
+  'worker-failed': 'The worker stopped',
+  unavailable: 'Transformer unavailable',
+  failed: 'Transformation failed'
+};
+
+/**
+ * EngineStatus component showing the running transformation job, its time limit and the last failure
+ *
+ * @returns {JSX.Element} EngineStatus component
+ */
+function EngineStatus() {
+  const status = useSyncExternalStore(subscribeTransformEngine, getTransformEngineStatus);
+  const [seconds, setSeconds] = useState(String(status.timeLimit / 1000));
+  const { error } = status;
+
+  const handleTimeLimitChange = (value) => {
+    setSeconds(value);
+    try {
+      setTransformTimeLimit(Number(value) * 1000);
+    } catch {
+      // Keep the previous limit until the input is valid again
+    }
+  };
+
+  return (
+    <div className="mb-8 p-3 bg-white/10 backdrop-blur-md border border-white/20 rounded-xl flex flex-wrap items-center gap-4">
+      <div className="flex-1 min-w-[200px] text-sm">
+        {status.running ? (
+          <div>
+            <div className="flex items-center text-blue-300">
+              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+              {status.label}
+            </div>
+            <div className="mt-2 h-1.5 bg-black/30 rounded-full overflow-hidden">
+              <div
+                className="h-full bg-gradient-to-r from-blue-500 to-cyan-400 transition-all"
+                style={{ width: `${Math.round(status.progress * 100)}%` }}
+              />
+            </div>
+          </div>
+        ) : error ? (
+          <div className="text-red-300">
+            <div className="flex items-center font-semibold">
+              <AlertTriangle className="h-4 w-4 mr-2" />
+              {ENGINE_ERROR_TITLES[error.code] || ENGINE_ERROR_TITLES.failed}
+              {error.transformerId && <span className="ml-2 font-mono text-xs text-red-200">{error.transformerId}</span>}
+              {error.step && <span className="ml-2 text-xs text-red-200">step {error.step}</span>}
+            </div>
+            <div className="mt-1 text-xs text-white/70 break-words">{error.message}</div>
+          </div>
+        ) : (
+          <span className="text-xs text-gray-400">Transformations run in a background worker</span>
+        )}
+      </div>
+
+      {status.running && (
+        <button
+          onClick={cancelTransformJob}
+          className="text-xs px-2 py-1 bg-red-500/20 hover:bg-red-500/30 text-red-300 rounded transition-colors flex items-center"
+        >
+          <X className="h-3.5 w-3.5 mr-1" />
+          Cancel
+        </button>
+      )}
+      {!status.running && error && (
+        <button
+          onClick={dismissTransformError}
+          className="text-xs px-2 py-1 bg-blue-500/20 hover:bg-blue-500/30 text-blue-300 rounded transition-colors"
+        >
+          Dismiss
+        </button>
+      )}
+
+      <label className="flex items-center text-xs text-white/70">
+        Time limit
+        <input
+          type="number"
+          min="1"
+          value={seconds}
+          onChange={(e) => handleTimeLimitChange(e.target.value)}
+          className="mx-2 w-16 px-2 py-1 bg-[#001428] border border-blue-500/50 rounded-md text-white"
+        />
+        s
+      </label>
+    </div>
+  );
+}
+
+/**
+ * Names of the bundle runtimes the unpacker recognizes
+ */
+const BUNDLE_FORMATS = {
+  webpack: 'webpack 1-4 bundle',
+  webpack5: 'webpack 5 bundle',
+  'webpack-chunk': 'webpack chunk',
+  browserify: 'Browserify bundle'
+};
+
+/**
+ * BundleFiles component listing the modules of an unpacked bundle
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.bundle - Unpacked bundle `{ format, files, openIndex }`
+ * @param {string} props.openWorkingCopy - Working copy of the open file, which is not saved in the list yet
+ * @param {Function} props.onOpen - Callback with the index of the file to open
+ * @param {Function} props.onClose - Callback to go back to the bundle
+ * @returns {JSX.Element} BundleFiles component
+ */
+function BundleFiles({ bundle, openWorkingCopy, onOpen, onClose }) {
+  return (
+    <div className="w-full mb-8">
+      <div className="card-hover-effect bg-white/10 backdrop-blur-md border-white/20 rounded-xl shadow-xl overflow-hidden">
+        <div className="p-4 border-b border-white/10 bg-black/20 flex items-center">
+          <Package className="h-5 w-5 mr-2 text-blue-300" />
+          <h3 className="text-lg font-semibold text-white">Bundle Modules</h3>
+          <span className="ml-3 text-xs text-gray-400">
+            {BUNDLE_FORMATS[bundle.format]}, {bundle.files.length} modules
+          </span>
+          <button
+            onClick={onClose}
+            className="ml-auto text-xs px-2 py-1 bg-blue-500/20 hover:bg-blue-500/30 text-blue-300 rounded transition-colors flex items-center"
+            title="Close the modules and show the whole bundle again"
+          >
+            <X className="h-3.5 w-3.5 mr-1" />
+            Close bundle
+          </button>
+        </div>
+        <ul className="p-4 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-2 max-h-[240px] overflow-y-auto">
+          {bundle.files.map((file, index) => {
+            const isOpen = index === bundle.openIndex;
+            const edited = isOpen ? Boolean(openWorkingCopy) : Boolean(file.transformedCode);
+
+            return (
+              <li key={index}>
+                <button
+                  onClick={() => onOpen(index)}
+                  className={`w-full text-left px-3 py-2 rounded-md border text-sm transition-colors ${
+                    isOpen ? 'bg-blue-500/30 border-blue-400/60 text-white' : 'bg-black/20 border-white/10 text-gray-300 hover:bg-black/40'
+                  }`}
+                  title={file.dependencies.length > 0 ? `Requires ${file.dependencies.join(', ')}` : 'Requires no other module'}
+                >
+                  <div className="flex items-center font-mono">
+                    <FileCode className="h-4 w-4 mr-2 shrink-0" />
+                    <span className="truncate">{file.name}</span>
+                    {file.entry && <span className="ml-2 text-[10px] px-1.5 rounded bg-green-500/30 text-green-200">entry</span>}
+                    {edited && <span className="ml-auto h-2 w-2 rounded-full bg-cyan-400" title="Transformed" />}
+                  </div>
+                  {file.name !== `module-${file.id}.js` && (
+                    <div className="mt-1 text-xs text-gray-400 truncate">{file.id}</div>
+                  )}
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
 /**
  * CodeTransformer component that combines code input, transformation controls, and scoring
  *
@@ -207,7 +449,11 @@ function CodeDisplay({ code = '', label = 'Code', placeholder = 'No code to disp
  * @param {Function} props.onRenameVariables - Callback for renaming variables
  * @param {Function} props.onFlattenControlFlow - Callback for flattening control flow
  * @param {Function} props.onRemoveDeadCode - Callback for removing dead code
- * @param {Function} props.onAutoDeobfuscate - Callback for auto deobfuscation
+ * @param {Function} props.onAutoDeobfuscate - Callback for auto deobfuscation; the quick action
+ *   callbacks resolve to `{ code, equivalence, keep }`, where keep accepts a held-back result
+ * @param {Function} props.onInputChange - Callback when the original code is edited or another
+ *   bundle module is opened, with the new code and the working copy to continue from
+ * @param {Function} props.onReset - Callback when the working copy is reset to the original code
  * @returns {JSX.Element} CodeTransformer component
  */
 function CodeTransformer({
@@ -221,7 +467,9 @@ function CodeTransformer({
   onRenameVariables,
   onFlattenControlFlow,
   onRemoveDeadCode,
-  onAutoDeobfuscate
+  onAutoDeobfuscate,
+  onInputChange,
+  onReset
 }) {
   const [originalCode, setOriginalCode] = useState(initialCode || '');
   const [transformedCode, setTransformedCode] = useState(propTransformedCode || '');
@@ -229,6 +477,14 @@ function CodeTransformer({
   const [score, setScore] = useState(propScore || 0);
   const [readabilityScore, setReadabilityScore] = useState(propReadabilityScore || 0);
   const [transformHistory, setTransformHistory] = useState(propTransformHistory || []);
+  // Equivalence check of the last kept result, and a divergent result waiting to be kept or discarded
+  const [equivalence, setEquivalence] = useState(null);
+  const [pendingResult, setPendingResult] = useState(null);
+  // Bumped by every job and input change, so results of older ones are not offered any more
+  const resultGeneration = useRef(0);
+  const [showDiff, setShowDiff] = useState(false);
+  // Unpacked bundle: `{ format, source, files, openIndex }`; files keep their working copies while closed
+  const [bundle, setBundle] = useState(null);
 
   // Update original code when initialCode prop changes
   useEffect(() => {
@@ -273,115 +529,208 @@ function CodeTransformer({
     }
   }, [propTransformHistory]);
 
-  // Create wrapper functions for the quick action handlers
-  // These will update the local state when the parent handlers are called
-  const handleRenameVariables = () => {
-    if (onRenameVariables) {
-      // First call the parent handler
-      onRenameVariables();
-
-      // We'll rely on the parent component to pass the transformed code, score, and history back
-      // through props in a future update via the useEffect hooks
+  // Drop the held-back result and start a new generation; returns its number
+  const startGeneration = () => {
+    setPendingResult(null);
+    resultGeneration.current += 1;
+    return resultGeneration.current;
+  };
 
-      // Note: We don't need to manually update the local state here because
-      // the useEffect hooks will update the state when the props change
+  // The quick actions run in the parent, which resolves to `{ code, equivalence, keep }`;
+  // a divergent result comes with `keep` and waits here to be kept or discarded
+  const runQuickAction = async (action) => {
+    if (!action) return;
+
+    const generation = startGeneration();
+    const outcome = await action();
+    if (!outcome || generation !== resultGeneration.current) return;
+
+    const showEquivalence = () => setEquivalence({ code: outcome.code, result: outcome.equivalence });
+    if (outcome.keep) {
+      setPendingResult({
+        equivalence: outcome.equivalence,
+        keep: () => {
+          outcome.keep();
+          showEquivalence();
+          setPendingResult(null);
+        }
+      });
+    } else {
+      setPendingResult(null);
+      if (outcome.equivalence) {
+        showEquivalence();
+      }
     }
   };
 
-  const handleFlattenControlFlow = () => {
-    if (onFlattenControlFlow) {
-      onFlattenControlFlow();
-      // State will be updated via props and useEffect hooks
+  const handleRenameVariables = () => runQuickAction(onRenameVariables);
+
+  const handleFlattenControlFlow = () => runQuickAction(onFlattenControlFlow);
+
+  const handleRemoveDeadCode = () => runQuickAction(onRemoveDeadCode);
+
+  const handleAutoDeobfuscate = () => runQuickAction(onAutoDeobfuscate);
+
+  // Transformations apply to the latest result, or to the original code before the first one
+  const workingCode = transformedCode || originalCode;
+
+  // Drop the working copy so the next transformation starts from the original code again
+  const resetWorkingCopy = () => {
+    setTransformedCode('');
+    setReadabilityScore(0);
+    setEquivalence(null);
+    startGeneration();
+  };
+
+  const handleInputChange = (newCode) => {
+    setOriginalCode(newCode);
+    // Reset transformed code when original code changes
+    resetWorkingCopy();
+
+    if (onInputChange) {
+      onInputChange(newCode);
     }
   };
 
-  const handleRemoveDeadCode = () => {
-    if (onRemoveDeadCode) {
-      onRemoveDeadCode();
-      // State will be updated via props and useEffect hooks
+  // Show other code in the original code card, continuing from the given working copy
+  const showCode = (code, workingCopy = '') => {
+    setOriginalCode(code);
+    resetWorkingCopy();
+    setTransformedCode(workingCopy);
+
+    if (onInputChange) {
+      onInputChange(code, workingCopy);
     }
   };
 
-  const handleAutoDeobfuscate = () => {
-    if (onAutoDeobfuscate) {
-      onAutoDeobfuscate();
-      // State will be updated via props and useEffect hooks
+  // Open a module of the bundle, keeping the edits and working copy of the one left behind
+  const openBundleFile = (index, current = bundle) => {
+    const files = current.files.map((file, fileIndex) => (
+      fileIndex === current.openIndex ? { ...file, code: originalCode, transformedCode } : file
+    ));
+
+    setBundle({ ...current, files, openIndex: index });
+    showCode(files[index].code, files[index].transformedCode);
+  };
+
+  const handleUnpackBundle = async () => {
+    if (!originalCode) return;
+
+    startGeneration();
+    try {
+      const { bundle: unpacked } = await runTransformJob({ type: 'unpack-bundle', code: originalCode });
+      const files = unpacked.files.map(file => ({ ...file, transformedCode: '' }));
+      const entryIndex = Math.max(0, files.findIndex(file => file.entry));
+
+      openBundleFile(entryIndex, { format: unpacked.format, source: originalCode, files, openIndex: null });
+    } catch {
+      // Not a bundle, or the job failed; the status bar shows why
     }
   };
 
-  const handleInputChange = (newCode) => {
-    setOriginalCode(newCode);
-    // Reset transformed code when original code changes
-    setTransformedCode('');
-    // Reset readability score
-    setReadabilityScore(0);
+  const handleCloseBundle = () => {
+    showCode(bundle.source);
+    setBundle(null);
   };
 
-  // We're now importing calculateReadabilityScore from utils/scoring.js
+  const handleReset = () => {
+    resetWorkingCopy();
+
+    // The history keeps its entries; only the working copy goes back to the original
+    if (onReset) {
+      onReset();
+    }
+  };
 
   const handleTransformSelect = (transformerId) => {
     const transformer = availableTransformers.find(t => t.id === transformerId);
     setSelectedTransformer(transformer || null);
   };
 
-  const handleApplyTransform = (transformerId, options) => {
-    if (!originalCode) return;
+  // Source map of the transformed code, composed back through the history entries that chain to the original
+  const currentSourceMap = useMemo(() => {
+    const maps = [];
+    let expected = transformedCode;
 
-    try {
-      // Apply the transformation
-      const result = applyTransformation(originalCode, transformerId, options);
-      setTransformedCode(result.code);
-
-      // Calculate readability score for the transformed code
-      const newReadabilityScore = calculateReadabilityScore(result.code);
-      setReadabilityScore(newReadabilityScore);
-
-      // Get the current mode from the parent component (manual or auto)
-      const isManualMode = true; // Default to manual mode if not specified
-
-      // Calculate score using the new challenge scoring system
-      const challengeScore = getChallengeScore(
-        originalCode,
-        result.code,
-        transformHistory,
-        isManualMode
-      );
+    for (let index = transformHistory.length - 1; index >= 0; index--) {
+      const entry = transformHistory[index];
+      if (entry.transformedCode !== expected) {
+        break;
+      }
+
+      maps.unshift(entry.sourceMap);
+      if (entry.originalCode === originalCode) {
+        return composeSourceMaps(maps);
+      }
+      expected = entry.originalCode;
+    }
 
-      // Use the legacy scoring system as a fallback for backward compatibility
-      const legacyScore = calculateScore(originalCode, result.code, transformerId);
+    return null;
+  }, [transformHistory, transformedCode, originalCode]);
 
-      // Use the challenge score if available, otherwise use the legacy score
-      const transformScore = challengeScore.score || legacyScore;
+  // Keep a job's result, or hold it back for confirmation when it behaves differently
+  const offerResult = (job) => {
+    const keep = () => {
+      setTransformedCode(job.code);
+      setReadabilityScore(job.readabilityScore);
 
-      // Update total score
-      const newScore = score + transformScore;
+      // Update total score and add one history entry per step
+      const newScore = score + job.score;
       setScore(newScore);
+      setTransformHistory([...transformHistory, ...job.entries]);
 
-      // Add to history with the detailed breakdown
-      const historyEntry = {
-        transformerId,
-        options,
-        originalCode,
-        transformedCode: result.code,
-        score: transformScore,
-        breakdown: challengeScore.breakdown, // Include the detailed score breakdown
-        timestamp: new Date()
-      };
+      // Notify parent component once per step
+      if (onScoreUpdate) {
+        job.entries.forEach(entry => onScoreUpdate(newScore, entry));
+      }
 
-      setTransformHistory([...transformHistory, historyEntry]);
+      setEquivalence({ code: job.code, result: job.equivalence });
+      setPendingResult(null);
+    };
 
-      // Notify parent component
-      if (onScoreUpdate) {
-        onScoreUpdate(newScore, historyEntry);
+    if (job.equivalence.status === 'divergent') {
+      setPendingResult({ equivalence: job.equivalence, keep });
+    } else {
+      keep();
+    }
+  };
+
+  // Run a job in the transformation worker; failures are reported through the engine status
+  const startJob = async (job) => {
+    if (!workingCode) return;
+
+    const generation = startGeneration();
+    try {
+      const result = await runTransformJob({
+        ...job,
+        code: workingCode,
+        history: transformHistory,
+        isManualMode: true
+      });
+      if (generation === resultGeneration.current) {
+        offerResult(result);
       }
-    } catch (error) {
-      console.error('Transformation error:', error);
-      // Handle error (could show an error message to the user)
+    } catch {
+      // Cancelled, timed out or failed; the status bar shows why
     }
   };
 
+  const handleApplyTransform = (transformerId, options) => startJob({ type: 'transform', transformerId, options });
+
+  // Each step runs on the output of the previous one and gets its own history entry
+  const handleRunRecipe = (recipe) => startJob({ type: 'recipe', recipe });
+
   return (
     <div className="w-full container mx-auto px-4 py-6">
+      {bundle && (
+        <BundleFiles
+          bundle={bundle}
+          openWorkingCopy={transformedCode}
+          onOpen={openBundleFile}
+          onClose={handleCloseBundle}
+        />
+      )}
+
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
         {/* Original Code Card */}
         <div className="w-full">
@@ -392,6 +741,19 @@ function CodeTransformer({
                 <div className="h-3 w-3 rounded-full bg-yellow-500 mr-2"></div>
                 <div className="h-3 w-3 rounded-full bg-green-500 mr-2"></div>
                 <h3 className="text-lg font-semibold text-white ml-2">Original Code</h3>
+                {bundle && bundle.openIndex !== null && (
+                  <span className="ml-2 text-sm font-mono text-blue-300">{bundle.files[bundle.openIndex].name}</span>
+                )}
+                {!bundle && originalCode && (
+                  <button
+                    onClick={handleUnpackBundle}
+                    className="ml-auto text-xs px-2 py-1 bg-blue-500/20 hover:bg-blue-500/30 text-blue-300 rounded transition-colors flex items-center"
+                    title="Split a webpack or browserify bundle into one file per module"
+                  >
+                    <Package className="h-3.5 w-3.5 mr-1" />
+                    Unpack bundle
+                  </button>
+                )}
               </div>
             </div>
             <div className="p-4">
@@ -413,21 +775,74 @@ function CodeTransformer({
                 <div className="h-3 w-3 rounded-full bg-purple-500 mr-2"></div>
                 <div className="h-3 w-3 rounded-full bg-blue-500 mr-2"></div>
                 <div className="h-3 w-3 rounded-full bg-cyan-500 mr-2"></div>
-                <h3 className="text-lg font-semibold text-white ml-2">Transformed Code</h3>
+                <h3 className="text-lg font-semibold text-white ml-2">Working Copy</h3>
+                {transformedCode && (
+                  <button
+                    onClick={handleReset}
+                    className="ml-auto text-xs px-2 py-1 bg-red-500/20 hover:bg-red-500/30 text-red-300 rounded transition-colors flex items-center"
+                    title="Discard the working copy and start again from the original code"
+                  >
+                    <RotateCcw className="h-3.5 w-3.5 mr-1" />
+                    Reset
+                  </button>
+                )}
+                {transformedCode && (
+                  <button
+                    onClick={() => setShowDiff(!showDiff)}
+                    className={`ml-2 text-xs px-2 py-1 rounded transition-colors flex items-center ${
+                      showDiff ? 'bg-blue-500/40 text-white' : 'bg-blue-500/20 hover:bg-blue-500/30 text-blue-300'
+                    }`}
+                    title={showDiff ? 'Hide the changes' : 'Show what the transformation changed'}
+                  >
+                    <GitCompare className="h-3.5 w-3.5 mr-1" />
+                    Diff
+                  </button>
+                )}
               </div>
             </div>
             <div className="p-4">
               <CodeInput
                 initialCode={transformedCode}
+                sourceMap={currentSourceMap}
                 readOnly={true}
                 label=""
                 placeholder="Transformed code will appear here..."
               />
+              {pendingResult ? (
+                <EquivalenceReport
+                  result={pendingResult.equivalence}
+                  onAccept={pendingResult.keep}
+                  onDiscard={() => setPendingResult(null)}
+                />
+              ) : equivalence && equivalence.code === transformedCode && (
+                <EquivalenceReport result={equivalence.result} />
+              )}
             </div>
           </div>
         </div>
       </div>
 
+      {/* Diff Card */}
+      {showDiff && transformedCode && (
+        <div className="w-full mb-8">
+          <div className="card-hover-effect bg-white/10 backdrop-blur-md border-white/20 rounded-xl shadow-xl overflow-hidden">
+            <div className="p-4 border-b border-white/10 bg-black/20">
+              <h3 className="text-lg font-semibold text-white">Changes</h3>
+            </div>
+            <div className="p-4">
+              <DiffView
+                before={originalCode}
+                after={transformedCode}
+                beforeLabel="Original"
+                afterLabel="Working copy"
+              />
+            </div>
+          </div>
+        </div>
+      )}
+
+      <EngineStatus />
+
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
         {/* Transformation Controls Card */}
         <div className="w-full">
@@ -440,10 +855,11 @@ function CodeTransformer({
                 availableTransformers={availableTransformers}
                 onTransformSelect={handleTransformSelect}
                 onApplyTransform={handleApplyTransform}
-                onRenameVariables={originalCode ? handleRenameVariables : null}
-                onFlattenControlFlow={originalCode ? handleFlattenControlFlow : null}
-                onRemoveDeadCode={originalCode ? handleRemoveDeadCode : null}
-                onAutoDeobfuscate={originalCode ? handleAutoDeobfuscate : null}
+                onRenameVariables={workingCode ? handleRenameVariables : null}
+                onFlattenControlFlow={workingCode ? handleFlattenControlFlow : null}
+                onRemoveDeadCode={workingCode ? handleRemoveDeadCode : null}
+                onAutoDeobfuscate={workingCode ? handleAutoDeobfuscate : null}
+                onRunRecipe={workingCode ? handleRunRecipe : null}
               />
             </div>
           </div>
@@ -0,0 +1,206 @@
+import { useState, useMemo } from 'react';
+import { Columns2, Rows3, ChevronsUpDown } from 'lucide-react';
+import { diffCode, unifiedRows } from '../utils/diff';
+
+/**
+ * Unchanged lines kept around every change when the rest are collapsed
+ */
+const CONTEXT_LINES = 3;
+
+/**
+ * Background classes of the highlighted words
+ */
+const SEGMENT_CLASSES = {
+  equal: '',
+  removed: 'bg-red-500/40 rounded-sm',
+  added: 'bg-green-500/40 rounded-sm',
+  renamed: 'bg-amber-500/40 rounded-sm'
+};
+
+/**
+ * Background classes of whole lines
+ */
+const LINE_CLASSES = {
+  equal: '',
+  removed: 'bg-red-500/10',
+  added: 'bg-green-500/10',
+  empty: 'bg-black/30'
+};
+
+/**
+ * Replace long runs of unchanged rows with a single gap row
+ *
+ * @param {Object[]} rows - Rows with a `type`; 'equal' rows can be collapsed
+ * @returns {Object[]} Rows to show, with `{ type: 'gap', count }` in place of hidden rows
+ */
+function collapseUnchanged(rows) {
+  const shown = [];
+
+  for (let index = 0; index < rows.length;) {
+    if (rows[index].type !== 'equal') {
+      shown.push(rows[index]);
+      index++;
+      continue;
+    }
+
+    let end = index;
+    while (end < rows.length && rows[end].type === 'equal') {
+      end++;
+    }
+
+    // Keep context after the previous change and before the next one
+    const keepBefore = index === 0 ? 0 : CONTEXT_LINES;
+    const keepAfter = end === rows.length ? 0 : CONTEXT_LINES;
+    if (end - index > keepBefore + keepAfter + 1) {
+      shown.push(...rows.slice(index, index + keepBefore));
+      shown.push({ type: 'gap', count: end - index - keepBefore - keepAfter });
+      shown.push(...rows.slice(end - keepAfter, end));
+    } else {
+      shown.push(...rows.slice(index, end));
+    }
+    index = end;
+  }
+
+  return shown;
+}
+
+/**
+ * LineSegments component rendering a line with its changed words highlighted
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.segments - Segments `{ text, kind }` of the line
+ * @returns {JSX.Element} LineSegments component
+ */
+function LineSegments({ segments }) {
+  return (
+    <>
+      {segments.map((segment, index) => (
+        <span key={index} className={SEGMENT_CLASSES[segment.kind]}>{segment.text}</span>
+      ))}
+    </>
+  );
+}
+
+/**
+ * DiffView component comparing two versions of code line by line and word by word
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.before - Code before the change
+ * @param {string} props.after - Code after the change
+ * @param {string} props.beforeLabel - Heading of the old side
+ * @param {string} props.afterLabel - Heading of the new side
+ * @returns {JSX.Element} DiffView component
+ */
+function DiffView({ before = '', after = '', beforeLabel = 'Before', afterLabel = 'After' }) {
+  const [layout, setLayout] = useState('split');
+  const [showAll, setShowAll] = useState(false);
+
+  const { rows, stats } = useMemo(() => diffCode(before, after), [before, after]);
+  const visibleRows = useMemo(() => {
+    const layoutRows = layout === 'split' ? rows : unifiedRows(rows);
+    return showAll ? layoutRows : collapseUnchanged(layoutRows);
+  }, [rows, layout, showAll]);
+
+  const unchanged = stats.added + stats.removed + stats.changed === 0;
+
+  const layoutButton = (value, Icon, label) => (
+    <button
+      onClick={() => setLayout(value)}
+      className={`text-xs px-2 py-1 rounded transition-colors flex items-center ${
+        layout === value ? 'bg-blue-500/40 text-white' : 'bg-blue-500/10 hover:bg-blue-500/20 text-blue-300'
+      }`}
+    >
+      <Icon className="h-3.5 w-3.5 mr-1" />
+      {label}
+    </button>
+  );
+
+  const gapRow = (row, key, columns) => (
+    <tr key={key}>
+      <td colSpan={columns} className="px-3 py-1 bg-blue-500/10 text-blue-300 text-center">
+        <button onClick={() => setShowAll(true)} className="inline-flex items-center hover:text-white">
+          <ChevronsUpDown className="h-3.5 w-3.5 mr-1" />
+          {row.count} unchanged lines
+        </button>
+      </td>
+    </tr>
+  );
+
+  const numberCell = (number) => (
+    <td className="w-10 px-2 text-right text-white/40 select-none align-top">{number ?? ''}</td>
+  );
+
+  const codeCell = (side, lineType) => (
+    <td className={`px-2 whitespace-pre-wrap break-all align-top ${LINE_CLASSES[side ? lineType : 'empty']}`}>
+      {side && <LineSegments segments={side.segments} />}
+    </td>
+  );
+
+  return (
+    <div className="w-full">
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center gap-3 text-xs">
+          <span className="text-green-400">+{stats.added + stats.changed}</span>
+          <span className="text-red-400">-{stats.removed + stats.changed}</span>
+          {stats.renamed > 0 && <span className="text-amber-400">{stats.renamed} renamed</span>}
+        </div>
+        <div className="flex items-center gap-2">
+          {layoutButton('split', Columns2, 'Side by side')}
+          {layoutButton('unified', Rows3, 'Unified')}
+        </div>
+      </div>
+
+      <div className="max-h-[400px] overflow-auto bg-[#001428]/80 border border-blue-500/30 rounded-md">
+        {unchanged ? (
+          <div className="px-3 py-2 text-sm text-blue-400 italic">No changes</div>
+        ) : (
+          <table className="w-full table-fixed font-mono text-xs text-white">
+            {layout === 'split' ? (
+              <>
+                <colgroup>
+                  <col className="w-10" /><col /><col className="w-10" /><col />
+                </colgroup>
+                <thead>
+                  <tr className="text-white/60 text-left">
+                    <th colSpan={2} className="px-2 py-1 font-normal">{beforeLabel}</th>
+                    <th colSpan={2} className="px-2 py-1 font-normal">{afterLabel}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {visibleRows.map((row, index) => (row.type === 'gap' ? gapRow(row, index, 4) : (
+                    <tr key={index}>
+                      {numberCell(row.left?.number)}
+                      {codeCell(row.left, row.type === 'equal' ? 'equal' : 'removed')}
+                      {numberCell(row.right?.number)}
+                      {codeCell(row.right, row.type === 'equal' ? 'equal' : 'added')}
+                    </tr>
+                  )))}
+                </tbody>
+              </>
+            ) : (
+              <>
+                <colgroup>
+                  <col className="w-10" /><col className="w-10" /><col className="w-5" /><col />
+                </colgroup>
+                <tbody>
+                  {visibleRows.map((row, index) => (row.type === 'gap' ? gapRow(row, index, 4) : (
+                    <tr key={index}>
+                      {numberCell(row.oldNumber)}
+                      {numberCell(row.newNumber)}
+                      <td className={`text-center select-none align-top ${LINE_CLASSES[row.type]}`}>
+                        {row.type === 'removed' ? '-' : row.type === 'added' ? '+' : ''}
+                      </td>
+                      {codeCell(row, row.type)}
+                    </tr>
+                  )))}
+                </tbody>
+              </>
+            )}
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default DiffView;
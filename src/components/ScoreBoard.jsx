@@ -3,9 +3,11 @@ import { Button } from './ui/button';
 import { Badge } from './ui/badge';
 import { useGame } from '../context/GameContext';
 import { Tabs, TabsList, TabsTrigger, TabsContent } from './ui/tabs';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from './ui/dialog';
+import DiffView from './DiffView';
 import {
   Trophy, Zap, History, BarChart, Award, Star, TrendingUp,
-  Brain, CheckCircle, AlertTriangle, Lightbulb, GitBranch, Plus, Minus
+  Brain, CheckCircle, AlertTriangle, Lightbulb, GitBranch, Plus, Minus, GitCompare
 } from 'lucide-react';
 
 /**
@@ -19,8 +21,13 @@ import {
  */
 function ScoreBoard({ score = 0, transformHistory = [], readabilityScore = 0 }) {
   const [activeTab, setActiveTab] = useState('overview');
+  // History entry whose input and output are compared in the diff dialog
+  const [diffEntry, setDiffEntry] = useState(null);
   const { mode } = useGame();
 
+  // Dead code removals of the compared step, from Remove Dead Code or Auto Deobfuscate
+  const deadCodeRemovals = diffEntry?.stats?.removed || diffEntry?.stats?.deadCodeRemovals || [];
+
   // Debug log for transformHistory
   console.log('ScoreBoard transformHistory:', transformHistory);
 
@@ -275,12 +282,58 @@ function ScoreBoard({ score = 0, transformHistory = [], readabilityScore = 0 })
                     </div>
                     <div className="flex justify-between items-center mt-2 text-xs text-gray-400">
                       <span>Applied at: {formatTimestamp(entry.timestamp)}</span>
+                      {entry.transformedCode !== undefined && (
+                        <button
+                          onClick={() => setDiffEntry(entry)}
+                          className="flex items-center text-blue-300 hover:text-white transition-colors"
+                          title="Compare this step's input and output"
+                        >
+                          <GitCompare className="h-3.5 w-3.5 mr-1" />
+                          Diff
+                        </button>
+                      )}
                     </div>
                   </li>
                 ))}
               </ul>
             )}
           </div>
+
+          <Dialog open={diffEntry !== null} onOpenChange={(open) => !open && setDiffEntry(null)}>
+            <DialogContent className="max-w-5xl bg-[#001428] border-blue-500/30 text-white">
+              <DialogHeader>
+                <DialogTitle className="capitalize">
+                  {diffEntry && diffEntry.transformerId.replace(/-/g, ' ')}
+                </DialogTitle>
+                <DialogDescription className="text-gray-400">
+                  Input and output of this step
+                </DialogDescription>
+              </DialogHeader>
+              {diffEntry && (
+                <DiffView
+                  before={diffEntry.originalCode || ''}
+                  after={diffEntry.transformedCode || ''}
+                  beforeLabel="Input"
+                  afterLabel="Output"
+                />
+              )}
+              {deadCodeRemovals.length > 0 && (
+                <div>
+                  <h4 className="text-sm font-medium text-white mb-2">Removed code</h4>
+                  <ul className="max-h-[160px] overflow-y-auto space-y-1 text-xs font-mono">
+                    {deadCodeRemovals.map((removal, index) => (
+                      <li key={index} className="flex gap-3 text-gray-300">
+                        <span className="w-14 shrink-0 text-right text-gray-500">
+                          {removal.line === null ? '—' : `line ${removal.line}`}
+                        </span>
+                        <span>{removal.description}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </DialogContent>
+          </Dialog>
         </TabsContent>
 
         <TabsContent value="scoring" className="mt-0 space-y-4">
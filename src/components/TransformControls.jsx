@@ -2,8 +2,312 @@ import { useState, useEffect } from 'react';
 import { Button } from './ui/button';
 import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
 import { Tabs, TabsList, TabsTrigger, TabsContent } from './ui/tabs';
-import { Pencil, GitMerge, Trash2, Wand2 } from 'lucide-react';
+import { Pencil, GitMerge, Trash2, Wand2, ArrowUp, ArrowDown, X, Plus, Save, Play } from 'lucide-react';
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from './ui/tooltip';
+import { BUILTIN_RECIPES, loadRecipes, saveRecipes, validateRecipe } from '../utils/recipes';
+
+/**
+ * OptionFields component for editing the options of a transformer
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.options - Options schema of the transformer
+ * @param {Object} props.values - Current option values
+ * @param {Function} props.onChange - Callback with the option name and its new value
+ * @returns {JSX.Element} OptionFields component
+ */
+function OptionFields({ options, values, onChange }) {
+  return (
+    <div className="space-y-3">
+      {Object.entries(options).map(([key, option]) => (
+        <div key={key} className="flex items-center">
+          {option.type === 'boolean' ? (
+            <label className="flex items-center cursor-pointer">
+              <input
+                type="checkbox"
+                checked={values[key] ?? option.default}
+                onChange={(e) => onChange(key, e.target.checked)}
+                className="h-4 w-4 text-blue-600 focus:ring-blue-500 bg-[#001428] border-blue-500/50 rounded"
+              />
+              <span className="ml-2 text-sm text-white/90">{option.label}</span>
+            </label>
+          ) : option.type === 'select' ? (
+            <div className="w-full">
+              <label className="block text-sm text-white/90">{option.label}</label>
+              <select
+                value={values[key] ?? option.default}
+                onChange={(e) => onChange(key, e.target.value)}
+                className="mt-1 block w-full px-3 py-2 bg-[#001428] border border-blue-500/50 rounded-md text-sm text-white"
+              >
+                {option.choices.map(choice => (
+                  <option key={choice} value={choice}>
+                    {choice}
+                  </option>
+                ))}
+              </select>
+            </div>
+          ) : (
+            <div className="w-full">
+              <label className="block text-sm text-white/90">{option.label}</label>
+              <input
+                type="text"
+                value={values[key] ?? option.default}
+                onChange={(e) => onChange(key, e.target.value)}
+                className="mt-1 block w-full px-3 py-2 bg-[#001428] border border-blue-500/50 rounded-md text-sm text-white"
+              />
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * RecipeBuilder component for building, saving and running transformer pipelines
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.availableTransformers - List of available transformers
+ * @param {Function} props.onRunRecipe - Callback with the recipe to run
+ * @returns {JSX.Element} RecipeBuilder component
+ */
+function RecipeBuilder({ availableTransformers = [], onRunRecipe }) {
+  const [recipes, setRecipes] = useState(() => loadRecipes());
+  const [draft, setDraft] = useState({ name: '', steps: [] });
+  const [stepTransformer, setStepTransformer] = useState('');
+  const [error, setError] = useState(null);
+
+  const transformerName = (id) => (availableTransformers.find(t => t.id === id) || { name: id }).name;
+
+  const handleRecipeSelect = (e) => {
+    const recipe = recipes.find(r => r.name === e.target.value);
+    setDraft(recipe
+      ? { name: recipe.name, steps: recipe.steps.map(step => ({ ...step, options: { ...step.options } })) }
+      : { name: '', steps: [] });
+    setError(null);
+  };
+
+  const updateSteps = (update) => {
+    setDraft(prev => ({ ...prev, steps: update([...prev.steps]) }));
+  };
+
+  const handleAddStep = () => {
+    if (!stepTransformer) return;
+    updateSteps(steps => [...steps, { transformerId: stepTransformer, options: {} }]);
+  };
+
+  const handleMoveStep = (index, offset) => {
+    updateSteps(steps => {
+      const [step] = steps.splice(index, 1);
+      steps.splice(index + offset, 0, step);
+      return steps;
+    });
+  };
+
+  const handleRemoveStep = (index) => {
+    updateSteps(steps => steps.filter((_, i) => i !== index));
+  };
+
+  const handleStepOptionChange = (index, optionName, value) => {
+    updateSteps(steps => {
+      steps[index] = { ...steps[index], options: { ...steps[index].options, [optionName]: value } };
+      return steps;
+    });
+  };
+
+  const handleSave = () => {
+    const recipe = { name: draft.name.trim(), steps: draft.steps, builtin: false };
+
+    try {
+      validateRecipe(recipe);
+    } catch (validationError) {
+      setError(validationError.message);
+      return;
+    }
+
+    if (BUILTIN_RECIPES.some(r => r.name === recipe.name)) {
+      setError(`"${recipe.name}" is a built-in recipe; save your version under another name`);
+      return;
+    }
+
+    // Saving under an existing name replaces that recipe
+    const updated = [...recipes.filter(r => r.name !== recipe.name), recipe];
+    setRecipes(updated);
+    saveRecipes(updated);
+    setError(null);
+  };
+
+  const handleDelete = () => {
+    const updated = recipes.filter(r => r.builtin || r.name !== draft.name);
+    setRecipes(updated);
+    saveRecipes(updated);
+    setDraft({ name: '', steps: [] });
+  };
+
+  const handleRun = () => {
+    const recipe = { name: draft.name.trim() || 'Unsaved recipe', steps: draft.steps };
+
+    try {
+      validateRecipe(recipe);
+    } catch (validationError) {
+      setError(validationError.message);
+      return;
+    }
+
+    setError(null);
+    if (onRunRecipe) {
+      onRunRecipe(recipe);
+    }
+  };
+
+  const savedRecipe = recipes.find(r => r.name === draft.name);
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label htmlFor="recipe-select" className="block text-sm font-medium text-white/90 mb-2">
+          Saved Recipes:
+        </label>
+        <select
+          id="recipe-select"
+          value={savedRecipe ? savedRecipe.name : ''}
+          onChange={handleRecipeSelect}
+          className="w-full px-3 py-2 bg-[#001428] border border-blue-500/30 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-white"
+        >
+          <option value="">-- New recipe --</option>
+          {recipes.map(recipe => (
+            <option key={recipe.name} value={recipe.name}>
+              {recipe.name}{recipe.builtin ? ' (built-in)' : ''}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <input
+        type="text"
+        value={draft.name}
+        onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+        placeholder="Recipe name"
+        className="block w-full px-3 py-2 bg-[#001428] border border-blue-500/50 rounded-md text-sm text-white"
+      />
+
+      <ol className="space-y-2">
+        {draft.steps.map((step, index) => {
+          const transformer = availableTransformers.find(t => t.id === step.transformerId);
+
+          return (
+            <li key={index} className="p-3 bg-[#001428]/80 rounded-md border border-blue-500/30">
+              <div className="flex items-center justify-between">
+                <span className="text-sm text-white/90">
+                  {index + 1}. {transformerName(step.transformerId)}
+                </span>
+                <div className="flex space-x-1">
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="h-7 w-7 text-blue-300"
+                    onClick={() => handleMoveStep(index, -1)}
+                    disabled={index === 0}
+                    title="Move up"
+                  >
+                    <ArrowUp className="h-3.5 w-3.5" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="h-7 w-7 text-blue-300"
+                    onClick={() => handleMoveStep(index, 1)}
+                    disabled={index === draft.steps.length - 1}
+                    title="Move down"
+                  >
+                    <ArrowDown className="h-3.5 w-3.5" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="h-7 w-7 text-red-300"
+                    onClick={() => handleRemoveStep(index)}
+                    title="Remove step"
+                  >
+                    <X className="h-3.5 w-3.5" />
+                  </Button>
+                </div>
+              </div>
+
+              {transformer && Object.keys(transformer.options || {}).length > 0 && (
+                <div className="mt-2">
+                  <OptionFields
+                    options={transformer.options}
+                    values={step.options}
+                    onChange={(optionName, value) => handleStepOptionChange(index, optionName, value)}
+                  />
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+
+      <div className="flex space-x-2">
+        <select
+          value={stepTransformer}
+          onChange={(e) => setStepTransformer(e.target.value)}
+          className="flex-1 px-3 py-2 bg-[#001428] border border-blue-500/30 rounded-md text-sm text-white"
+        >
+          <option value="">-- Add a step --</option>
+          {availableTransformers.map(transformer => (
+            <option key={transformer.id} value={transformer.id}>
+              {transformer.name}
+            </option>
+          ))}
+        </select>
+        <Button
+          variant="outline"
+          className="bg-blue-600/20 hover:bg-blue-600/40 border-blue-500/50 text-white"
+          onClick={handleAddStep}
+          disabled={!stepTransformer}
+        >
+          <Plus className="h-4 w-4" />
+        </Button>
+      </div>
+
+      {error && (
+        <div className="text-sm text-red-300 bg-red-900/30 p-2 rounded-md border border-red-500/30">
+          {error}
+        </div>
+      )}
+
+      <div className="grid grid-cols-3 gap-2">
+        <Button
+          variant="outline"
+          className="bg-blue-600/20 hover:bg-blue-600/40 border-blue-500/50 text-white flex items-center justify-center gap-1"
+          onClick={handleSave}
+          disabled={draft.steps.length === 0}
+        >
+          <Save className="h-4 w-4" />
+          <span>Save</span>
+        </Button>
+        <Button
+          variant="outline"
+          className="bg-red-600/20 hover:bg-red-600/40 border-red-500/50 text-white flex items-center justify-center gap-1"
+          onClick={handleDelete}
+          disabled={!savedRecipe || savedRecipe.builtin}
+        >
+          <Trash2 className="h-4 w-4" />
+          <span>Delete</span>
+        </Button>
+        <Button
+          variant="glow"
+          className="bg-gradient-to-r from-blue-600 to-cyan-500 flex items-center justify-center gap-1"
+          onClick={handleRun}
+          disabled={draft.steps.length === 0 || !onRunRecipe}
+        >
+          <Play className="h-4 w-4" />
+          <span>Run</span>
+        </Button>
+      </div>
+    </div>
+  );
+}
 
 /**
  * TransformControls component for selecting and configuring code transformations
@@ -16,6 +320,7 @@ import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from './ui/t
  * @param {Function} props.onFlattenControlFlow - Callback for flattening control flow
  * @param {Function} props.onRemoveDeadCode - Callback for removing dead code
  * @param {Function} props.onAutoDeobfuscate - Callback for auto deobfuscation
+ * @param {Function} props.onRunRecipe - Callback when a recipe is run
  * @returns {JSX.Element} TransformControls component
  */
 function TransformControls({
@@ -25,7 +330,8 @@ function TransformControls({
   onRenameVariables,
   onFlattenControlFlow,
   onRemoveDeadCode,
-  onAutoDeobfuscate
+  onAutoDeobfuscate,
+  onRunRecipe
 }) {
   const [selectedTransformer, setSelectedTransformer] = useState('');
   const [transformOptions, setTransformOptions] = useState({});
@@ -76,13 +382,16 @@ function TransformControls({
       </CardHeader>
       <CardContent>
         <Tabs defaultValue="quick" className="w-full" onValueChange={setActiveTab}>
-          <TabsList className="grid grid-cols-2 w-full bg-[#001428]/80">
+          <TabsList className="grid grid-cols-3 w-full bg-[#001428]/80">
             <TabsTrigger value="quick" className="text-white data-[state=active]:bg-blue-600">
               Quick Actions
             </TabsTrigger>
             <TabsTrigger value="custom" className="text-white data-[state=active]:bg-cyan-600">
               Custom Transform
             </TabsTrigger>
+            <TabsTrigger value="recipes" className="text-white data-[state=active]:bg-blue-600">
+              Recipes
+            </TabsTrigger>
           </TabsList>
 
           <TabsContent value="quick" className="mt-4">
@@ -217,33 +526,11 @@ function TransformControls({
                 {Object.keys(selectedTransformerObj.options || {}).length > 0 && (
                   <div className="transform-options mb-4 p-3 bg-[#001428]/80 rounded-md border border-blue-500/30">
                     <h4 className="text-sm font-medium text-white/90 mb-2">Options</h4>
-                    <div className="space-y-3">
-                      {Object.entries(selectedTransformerObj.options).map(([key, option]) => (
-                        <div key={key} className="flex items-center">
-                          {option.type === 'boolean' ? (
-                            <label className="flex items-center cursor-pointer">
-                              <input
-                                type="checkbox"
-                                checked={transformOptions[key] ?? option.default}
-                                onChange={(e) => handleOptionChange(key, e.target.checked)}
-                                className="h-4 w-4 text-blue-600 focus:ring-blue-500 bg-[#001428] border-blue-500/50 rounded"
-                              />
-                              <span className="ml-2 text-sm text-white/90">{option.label}</span>
-                            </label>
-                          ) : (
-                            <div className="w-full">
-                              <label className="block text-sm text-white/90">{option.label}</label>
-                              <input
-                                type="text"
-                                value={transformOptions[key] ?? option.default}
-                                onChange={(e) => handleOptionChange(key, e.target.value)}
-                                className="mt-1 block w-full px-3 py-2 bg-[#001428] border border-blue-500/50 rounded-md text-sm text-white"
-                              />
-                            </div>
-                          )}
-                        </div>
-                      ))}
-                    </div>
+                    <OptionFields
+                      options={selectedTransformerObj.options}
+                      values={transformOptions}
+                      onChange={handleOptionChange}
+                    />
                   </div>
                 )}
               </>
@@ -258,6 +545,13 @@ function TransformControls({
               Apply Custom Transformation
             </Button>
           </TabsContent>
+
+          <TabsContent value="recipes" className="mt-4">
+            <RecipeBuilder
+              availableTransformers={availableTransformers}
+              onRunRecipe={onRunRecipe}
+            />
+          </TabsContent>
         </Tabs>
       </CardContent>
     </Card>
@@ -0,0 +1,111 @@
+/**
+ * Shared parsing and printing layer used by every code transformer
+ */
+
+import { parse } from '@babel/parser';
+import babelTraverse from '@babel/traverse';
+import babelGenerate from '@babel/generator';
+import * as t from '@babel/types';
+
+// Both packages are published as CommonJS with the function on `default`
+const traverse = babelTraverse.default || babelTraverse;
+const generate = babelGenerate.default || babelGenerate;
+
+export { t };
+
+/**
+ * Parser plugins enabled for all input code
+ */
+const PARSER_PLUGINS = ['jsx'];
+
+/**
+ * Parse source code into a Babel AST with source positions
+ *
+ * @param {string} code - Source code to parse
+ * @param {Object} options - Parsing options
+ * @param {boolean} options.tokens - Attach the token list to the File node
+ * @returns {Object} Babel File node
+ * @throws {Error} When the code is not valid JavaScript
+ */
+export function parseCode(code, options = {}) {
+  const { tokens = false } = options;
+
+  try {
+    return parse(code, {
+      sourceType: 'unambiguous',
+      allowReturnOutsideFunction: true,
+      allowAwaitOutsideFunction: true,
+      allowUndeclaredExports: true,
+      tokens,
+      plugins: PARSER_PLUGINS
+    });
+  } catch (error) {
+    // Babel already appends "(line:column)" to the message
+    throw new Error(`Unable to parse code: ${error.message}`);
+  }
+}
+
+/**
+ * Traverse an AST with fresh scope information
+ *
+ * Passes mutate the tree in place, so cached scopes from a previous
+ * traversal would describe bindings that no longer exist.
+ *
+ * @param {Object} ast - Babel File node
+ * @param {Object} visitor - Babel visitor object
+ */
+export function traverseAst(ast, visitor) {
+  traverse.cache.clear();
+  traverse(ast, visitor);
+}
+
+/**
+ * Print an AST back to source code
+ *
+ * @param {Object} ast - Babel File node
+ * @param {Object} options - Printing options
+ * @param {boolean} options.minified - Print without optional whitespace
+ * @param {boolean} options.comments - Keep comments in the output
+ * @returns {string} Generated source code
+ */
+export function printCode(ast, options = {}) {
+  const { minified = false, comments = true } = options;
+
+  const { code } = generate(ast, {
+    minified,
+    comments,
+    jsescOption: { minimal: true }
+  });
+
+  return minified ? code : `${code}\n`;
+}
+
+/**
+ * Print an AST back to source code together with a V3 source map
+ *
+ * Nodes keep the positions they were parsed with, so the map points into the
+ * code the AST was parsed from. Renamed identifiers are mapped to their
+ * original names.
+ *
+ * @param {Object} ast - Babel File node
+ * @param {string} source - Source code the AST was parsed from
+ * @param {Object} options - Printing options, as for printCode
+ * @param {string} options.sourceFileName - Name of the source in the map
+ * @returns {Object} `{ code, map }` with the generated code and the source map object
+ */
+export function printWithSourceMap(ast, source, options = {}) {
+  const { minified = false, comments = true, sourceFileName = 'input.js' } = options;
+
+  const { code, map } = generate(ast, {
+    minified,
+    comments,
+    jsescOption: { minimal: true },
+    sourceMaps: true,
+    sourceFileName
+  }, source);
+
+  return {
+    code: minified ? code : `${code}\n`,
+    map
+  };
+}
@@ -0,0 +1,395 @@
+/**
+ * Splits webpack and browserify bundles into their modules
+ *
+ * A bundle is a small runtime plus a module table: an array or object of
+ * functions that each receive `module`, `exports` and a require function.
+ * Every table entry becomes a virtual file `module-<id>.js`. Its parameters
+ * get their usual CommonJS names and calls to the bundle's require function
+ * are rewritten to `require('./module-<id>')`. Nothing in the bundle is run.
+ */
+
+import { parseCode, printCode, traverseAst, t } from './ast';
+
+/**
+ * Usual names of the module function parameters, in order, per runtime family
+ */
+const MODULE_PARAMS = {
+  webpack: ['module', 'exports', '__webpack_require__'],
+  browserify: ['require', 'module', 'exports']
+};
+
+/**
+ * Check whether a node can be an entry of a module table
+ *
+ * @param {Object} node - Table value
+ * @returns {boolean} True for functions of at most three plain parameters
+ */
+function isModuleFunction(node) {
+  return (t.isFunctionExpression(node) || t.isArrowFunctionExpression(node) || t.isObjectMethod(node, { kind: 'method' })) &&
+    node.params.length <= 3 && node.params.every(param => t.isIdentifier(param));
+}
+
+/**
+ * Get the constant key of an object property
+ *
+ * @param {Object} property - ObjectProperty or ObjectMethod node
+ * @returns {string|number|null} The key, or null when it is computed
+ */
+function propertyKey(property) {
+  if (property.computed) {
+    return null;
+  }
+  if (t.isIdentifier(property.key)) {
+    return property.key.name;
+  }
+  return t.isNumericLiteral(property.key) || t.isStringLiteral(property.key) ? property.key.value : null;
+}
+
+/**
+ * Read a webpack module table
+ *
+ * @param {Object} node - Array or object expression
+ * @returns {Object[]|null} Entries `{ id, fn }`, or null when the node is not a module table
+ */
+function readModuleTable(node) {
+  let entries = null;
+
+  if (t.isArrayExpression(node)) {
+    // Arrays leave holes for the modules of other chunks
+    entries = node.elements
+      .map((element, index) => ({ id: index, fn: element }))
+      .filter(entry => entry.fn !== null);
+  } else if (t.isObjectExpression(node)) {
+    entries = node.properties.map(property => ({
+      id: propertyKey(property),
+      fn: t.isObjectMethod(property) ? property : property.value
+    }));
+  }
+
+  if (!entries || entries.length === 0 || !entries.every(entry => entry.id !== null && isModuleFunction(entry.fn))) {
+    return null;
+  }
+  return entries;
+}
+
+/**
+ * Read a browserify module table, `{ id: [function (require, module, exports) {...}, { './name': id }] }`
+ *
+ * @param {Object} node - Object expression
+ * @returns {Object[]|null} Entries `{ id, fn, dependencies }`, where dependencies maps
+ *   require paths to module IDs, or null when the node is not a module table
+ */
+function readBrowserifyTable(node) {
+  if (!t.isObjectExpression(node) || node.properties.length === 0) {
+    return null;
+  }
+
+  const entries = [];
+  for (const property of node.properties) {
+    const id = t.isObjectProperty(property) ? propertyKey(property) : null;
+    const [fn, map] = t.isArrayExpression(property.value) ? property.value.elements : [];
+    if (id === null || !isModuleFunction(fn) || (map && !t.isObjectExpression(map))) {
+      return null;
+    }
+
+    // Modules left out of the bundle map to false or undefined
+    const dependencies = new Map();
+    for (const dependency of map ? map.properties : []) {
+      const path = t.isObjectProperty(dependency) ? propertyKey(dependency) : null;
+      if (path !== null && (t.isNumericLiteral(dependency.value) || t.isStringLiteral(dependency.value))) {
+        dependencies.set(String(path), String(dependency.value.value));
+      }
+    }
+
+    entries.push({ id, fn, dependencies });
+  }
+
+  return entries;
+}
+
+/**
+ * Get the value of a numeric or string literal
+ *
+ * @param {Object} node - Expression node
+ * @returns {string|null} The value as a string, or null for other expressions
+ */
+function literalId(node) {
+  return t.isNumericLiteral(node) || t.isStringLiteral(node) ? String(node.value) : null;
+}
+
+/**
+ * Find the entry module a webpack 1-4 runtime starts
+ *
+ * @param {Object} runtime - Path of the runtime function
+ * @returns {string|null} ID of the entry module
+ */
+function webpackEntry(runtime) {
+  let entry = null;
+
+  // webpack 3 and 4: return __webpack_require__(__webpack_require__.s = 0)
+  runtime.traverse({
+    AssignmentExpression(path) {
+      const { left, right } = path.node;
+      if (t.isMemberExpression(left) && !left.computed && t.isIdentifier(left.property, { name: 's' }) &&
+          literalId(right) !== null) {
+        entry = literalId(right);
+        path.stop();
+      }
+    }
+  });
+
+  // webpack 1 and 2: return __webpack_require__(0)
+  if (entry === null && t.isBlockStatement(runtime.node.body)) {
+    const returned = runtime.node.body.body.filter(statement => t.isReturnStatement(statement)).pop();
+    if (returned && t.isCallExpression(returned.argument) && returned.argument.arguments.length === 1) {
+      entry = literalId(returned.argument.arguments[0]);
+    }
+  }
+
+  return entry;
+}
+
+/**
+ * Recognize a webpack 1-4 bundle, `(function (modules) { ... })([...])`
+ *
+ * @param {Object} path - Path of a call expression
+ * @returns {Object|null} `{ format, entries, entryIds }`, or null
+ */
+function matchWebpackRuntime(path) {
+  const callee = path.get('callee');
+  const entries = path.node.arguments.length > 0 && readModuleTable(path.node.arguments[0]);
+  if (!entries || !callee.isFunction() || !t.isIdentifier(callee.node.params[0])) {
+    return null;
+  }
+
+  // The runtime calls modules[moduleId].call(module.exports, module, module.exports, __webpack_require__)
+  const modulesName = callee.node.params[0].name;
+  let callsModules = false;
+  callee.traverse({
+    CallExpression(inner) {
+      const { callee: target } = inner.node;
+      if (t.isMemberExpression(target) && t.isIdentifier(target.property, { name: 'call' }) &&
+          t.isMemberExpression(target.object, { computed: true }) &&
+          t.isIdentifier(target.object.object, { name: modulesName })) {
+        callsModules = true;
+        inner.stop();
+      }
+    }
+  });
+
+  if (!callsModules) {
+    return null;
+  }
+
+  const entry = webpackEntry(callee);
+  return { format: 'webpack', entries, entryIds: entry === null ? [] : [entry] };
+}
+
+/**
+ * Recognize a webpack 5 bundle, whose runtime keeps the table in a variable
+ * (`var __webpack_modules__ = {...}`) and calls it from a require function
+ *
+ * @param {Object} path - Path of a variable declarator
+ * @returns {Object|null} `{ format, entries, entryIds }`, or null
+ */
+function matchWebpack5Runtime(path) {
+  const { id, init } = path.node;
+  const entries = t.isIdentifier(id) && t.isObjectExpression(init) && readModuleTable(init);
+  const binding = entries && path.scope.getBinding(id.name);
+  if (!binding) {
+    return null;
+  }
+
+  // __webpack_modules__[moduleId](module, module.exports, __webpack_require__), or .call(...)
+  const call = binding.referencePaths.find(reference => {
+    const member = reference.parentPath;
+    return member.isMemberExpression({ object: reference.node, computed: true }) &&
+      (member.parentPath.isCallExpression({ callee: member.node }) ||
+        member.parentPath.isMemberExpression({ object: member.node }));
+  });
+  const requireFunction = call && call.getFunctionParent();
+  if (!requireFunction || !requireFunction.isFunctionDeclaration()) {
+    return null;
+  }
+
+  // The startup code requires the entry modules by ID; modules have their own require parameter
+  const requireName = requireFunction.node.id.name;
+  const requireBinding = binding.scope.getBinding(requireName);
+  const entryIds = [];
+  binding.scope.path.traverse({
+    CallExpression(inner) {
+      if (inner.get('callee').isIdentifier({ name: requireName }) && inner.node.arguments.length === 1 &&
+          literalId(inner.node.arguments[0]) !== null && inner.scope.getBinding(requireName) === requireBinding &&
+          !inner.isDescendant(requireFunction)) {
+        entryIds.push(literalId(inner.node.arguments[0]));
+      }
+    }
+  });
+
+  return { format: 'webpack5', entries, entryIds: entryIds.slice(-1) };
+}
+
+/**
+ * Recognize a webpack chunk, `(self.webpackChunk = self.webpackChunk || []).push([[chunkIds], {...}])`
+ *
+ * @param {Object} path - Path of a call expression
+ * @returns {Object|null} `{ format, entries, entryIds }`, or null
+ */
+function matchWebpackChunk(path) {
+  const { callee, arguments: args } = path.node;
+  if (!t.isMemberExpression(callee) || callee.computed || !t.isIdentifier(callee.property, { name: 'push' }) ||
+      args.length !== 1 || !t.isArrayExpression(args[0]) || !t.isArrayExpression(args[0].elements[0])) {
+    return null;
+  }
+
+  const entries = readModuleTable(args[0].elements[1]);
+  return entries ? { format: 'webpack-chunk', entries, entryIds: [] } : null;
+}
+
+/**
+ * Recognize a browserify bundle, `prelude({ id: [fn, deps] }, {}, [entryIds])`
+ *
+ * @param {Object} path - Path of a call expression
+ * @returns {Object|null} `{ format, entries, entryIds }`, or null
+ */
+function matchBrowserify(path) {
+  const [table, cache, entryList] = path.node.arguments;
+  if (path.node.arguments.length !== 3 || !t.isObjectExpression(cache) || !t.isArrayExpression(entryList)) {
+    return null;
+  }
+
+  const entries = readBrowserifyTable(table);
+  return entries
+    ? { format: 'browserify', entries, entryIds: entryList.elements.map(literalId).filter(id => id !== null) }
+    : null;
+}
+
+/**
+ * Get the virtual file name of a module, without the `.js` extension
+ *
+ * @param {string|number} id - Module ID
+ * @param {number} index - Position of the module in the table
+ * @returns {string} `module-<id>`, or `module-<index>` when the ID is a path or otherwise unfit
+ */
+function moduleName(id, index) {
+  return /^[\w-]+$/.test(String(id)) ? `module-${id}` : `module-${index}`;
+}
+
+/**
+ * Turn one module function into the source of a CommonJS file
+ *
+ * @param {Object} entry - Table entry `{ fn, dependencies }`
+ * @param {string} family - 'webpack' or 'browserify'
+ * @param {Map} names - Module IDs mapped to file names without extension
+ * @returns {Object} `{ code, dependencies }`, dependencies being the file names this module requires
+ */
+function moduleSource(entry, family, names) {
+  const { fn } = entry;
+  const expression = t.isObjectMethod(fn)
+    ? t.functionExpression(null, fn.params, fn.body, fn.generator, fn.async)
+    : fn;
+  const file = t.file(t.program([t.expressionStatement(t.cloneNode(expression))]));
+
+  let fnPath = null;
+  const usedNames = new Set();
+  traverseAst(file, {
+    Function(path) {
+      fnPath = fnPath || path;
+    },
+    Identifier(path) {
+      usedNames.add(path.node.name);
+    }
+  });
+
+  // The require function comes last in webpack and first in browserify
+  const { params } = fnPath.node;
+  const requireParam = params[family === 'webpack' ? 2 : 0];
+  const binding = requireParam && fnPath.scope.getBinding(requireParam.name);
+  const dependencies = new Set();
+
+  for (const reference of binding ? binding.referencePaths : []) {
+    const call = reference.parentPath;
+    if (!call.isCallExpression({ callee: reference.node }) || call.node.arguments.length !== 1) {
+      continue;
+    }
+
+    const requested = literalId(call.node.arguments[0]);
+    const id = family === 'browserify' ? entry.dependencies.get(requested) : requested;
+    const name = id === undefined || id === null ? null : names.get(id);
+    if (!name) {
+      continue;
+    }
+
+    dependencies.add(`${name}.js`);
+    if (family === 'browserify') {
+      call.get('arguments.0').replaceWith(t.stringLiteral(`./${name}`));
+    } else if (!usedNames.has('require')) {
+      call.replaceWith(t.callExpression(t.identifier('require'), [t.stringLiteral(`./${name}`)]));
+    }
+  }
+
+  // Minified bundles call the parameters e, t and n
+  params.forEach((param, index) => {
+    const conventional = MODULE_PARAMS[family][index];
+    if (param.name !== conventional && !usedNames.has(conventional)) {
+      fnPath.scope.rename(param.name, conventional);
+    }
+  });
+
+  const { body } = fnPath.node;
+  const program = t.isBlockStatement(body)
+    ? t.program(body.body, body.directives)
+    : t.program([t.expressionStatement(body)]);
+
+  return { code: printCode(t.file(program)), dependencies: [...dependencies] };
+}
+
+/**
+ * Split a webpack or browserify bundle into one virtual file per module
+ *
+ * Recognizes the webpack 1-4 runtime, webpack 5 runtimes and chunks, and the
+ * browserify prelude; the first module table found is used.
+ *
+ * @param {string} code - Bundle source
+ * @returns {Object|null} `{ format, files }`, or null when no module table is found.
+ *   Format is 'webpack', 'webpack5', 'webpack-chunk' or 'browserify'; every file is
+ *   `{ id, name, code, entry, dependencies }`, with id being the ID in the bundle,
+ *   name `module-<id>.js` and dependencies the names of the files it requires.
+ * @throws {Error} When the code does not parse
+ */
+export function unpackBundle(code) {
+  const ast = parseCode(code);
+  let bundle = null;
+
+  traverseAst(ast, {
+    CallExpression(path) {
+      bundle = matchWebpackRuntime(path) || matchWebpackChunk(path) || matchBrowserify(path);
+      if (bundle) {
+        path.stop();
+      }
+    },
+    VariableDeclarator(path) {
+      bundle = matchWebpack5Runtime(path);
+      if (bundle) {
+        path.stop();
+      }
+    }
+  });
+
+  if (!bundle) {
+    return null;
+  }
+
+  const family = bundle.format === 'browserify' ? 'browserify' : 'webpack';
+  const names = new Map(bundle.entries.map((entry, index) => [String(entry.id), moduleName(entry.id, index)]));
+
+  return {
+    format: bundle.format,
+    files: bundle.entries.map(entry => ({
+      id: entry.id,
+      name: `${names.get(String(entry.id))}.js`,
+      entry: bundle.entryIds.includes(String(entry.id)),
+      ...moduleSource(entry, family, names)
+    }))
+  };
+}
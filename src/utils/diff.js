@@ -0,0 +1,327 @@
+/**
+ * Line and word diffs between two versions of code
+ *
+ * Lines are compared first. Within a block of changed lines, removed and
+ * added lines are paired in order and compared token by token, so a line
+ * that only had a variable renamed shows just that name as changed.
+ */
+
+/**
+ * Largest edit distance computed exactly; beyond it a block counts as replaced as a whole
+ */
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Tokens for the word-level diff: whitespace, words, numbers, string literals
+ * and single punctuation characters
+ */
+const TOKEN_PATTERN = /\s+|[A-Za-z_$][\w$]*|\d[\w.]*|"(?:[^"\\]|\\.)*"?|'(?:[^'\\]|\\.)*'?|`(?:[^`\\]|\\.)*`?|./g;
+
+/**
+ * Pattern of identifier tokens, which can be renamed
+ */
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Find the shortest edit script between two sequences (Myers' algorithm)
+ *
+ * @param {Array} a - Old sequence
+ * @param {Array} b - New sequence
+ * @param {Function} equals - Element comparison
+ * @returns {Object[]} Operations `{ type: 'equal'|'removed'|'added', aIndex, bIndex }` in order
+ */
+function diffSequences(a, b, equals) {
+  // Common prefixes and suffixes are frequent and cheap to skip
+  let start = 0;
+  while (start < a.length && start < b.length && equals(a[start], b[start])) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && equals(a[endA - 1], b[endB - 1])) {
+    endA--;
+    endB--;
+  }
+
+  const equal = (aIndex, bIndex) => ({ type: 'equal', aIndex, bIndex });
+  const removed = (aIndex) => ({ type: 'removed', aIndex, bIndex: null });
+  const added = (bIndex) => ({ type: 'added', aIndex: null, bIndex });
+
+  const range = (from, to) => Array.from({ length: to - from }, (_, index) => from + index);
+  const middle = editScript(a.slice(start, endA), b.slice(start, endB), equals) || [
+    ...range(0, endA - start).map(removed),
+    ...range(0, endB - start).map(added)
+  ];
+
+  return [
+    ...range(0, start).map(index => equal(index, index)),
+    ...middle.map(op => ({
+      type: op.type,
+      aIndex: op.aIndex === null ? null : op.aIndex + start,
+      bIndex: op.bIndex === null ? null : op.bIndex + start
+    })),
+    ...range(0, a.length - endA).map(index => equal(endA + index, endB + index))
+  ];
+}
+
+/**
+ * Myers' greedy search for the middle part of two sequences
+ *
+ * @param {Array} a - Old sequence
+ * @param {Array} b - New sequence
+ * @param {Function} equals - Element comparison
+ * @returns {Object[]|null} Operations, or null when the edit distance exceeds MAX_EDIT_DISTANCE
+ */
+function editScript(a, b, equals) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  // trace[d] keeps the diagonals d - 1 reached, which is all backtracking reads
+  const reached = (d, k) => trace[d][k + d + 1];
+  const fromAbove = (d, k, furthest) => k === -d || (k !== d && furthest(k - 1) < furthest(k + 1));
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = fromAbove(d, k, diagonal => v[offset + diagonal]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && equals(a[x], b[y])) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, n, m, reached, fromAbove);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Walk the trace of editScript back from the end to build the operations
+ *
+ * @param {Int32Array[]} trace - Furthest points before each edit step
+ * @param {number} n - Length of the old sequence
+ * @param {number} m - Length of the new sequence
+ * @param {Function} reached - `(d, k) => x` lookup into the trace
+ * @param {Function} fromAbove - Whether diagonal k was reached by an insertion
+ * @returns {Object[]} Operations in order
+ */
+function backtrack(trace, n, m, reached, fromAbove) {
+  const ops = [];
+  let x = n;
+  let y = m;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const k = x - y;
+    const previousK = fromAbove(d, k, diagonal => reached(d, diagonal)) ? k + 1 : k - 1;
+    const previousX = d === 0 ? 0 : reached(d, previousK);
+    const previousY = d === 0 ? 0 : previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      x--;
+      y--;
+      ops.push({ type: 'equal', aIndex: x, bIndex: y });
+    }
+
+    if (d > 0) {
+      if (x === previousX) {
+        ops.push({ type: 'added', aIndex: null, bIndex: y - 1 });
+      } else {
+        ops.push({ type: 'removed', aIndex: x - 1, bIndex: null });
+      }
+    }
+
+    x = previousX;
+    y = previousY;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Append text to a list of segments, merging it into the last one of the same kind
+ *
+ * @param {Object[]} segments - Segments `{ text, kind }`
+ * @param {string} text - Text to append
+ * @param {string} kind - 'equal', 'removed', 'added' or 'renamed'
+ */
+function pushSegment(segments, text, kind) {
+  const last = segments[segments.length - 1];
+  if (last && last.kind === kind) {
+    last.text += text;
+  } else {
+    segments.push({ text, kind });
+  }
+}
+
+/**
+ * Compare two lines token by token
+ *
+ * A change that replaces exactly one identifier with another is marked as a
+ * rename on both sides. Whitespace tokens count as equal to each other, so
+ * re-indentation is not highlighted.
+ *
+ * @param {string} before - Old line
+ * @param {string} after - New line
+ * @returns {Object} `{ left, right, renamed }`: segments of both lines and the number of renames
+ */
+function diffWords(before, after) {
+  const a = before.match(TOKEN_PATTERN) || [];
+  const b = after.match(TOKEN_PATTERN) || [];
+  const isSpace = (token) => /^\s+$/.test(token);
+  const ops = diffSequences(a, b, (x, y) => x === y || (isSpace(x) && isSpace(y)));
+
+  const left = [];
+  const right = [];
+  let renamed = 0;
+
+  for (let index = 0; index < ops.length;) {
+    if (ops[index].type === 'equal') {
+      pushSegment(left, a[ops[index].aIndex], 'equal');
+      pushSegment(right, b[ops[index].bIndex], 'equal');
+      index++;
+      continue;
+    }
+
+    // A run of changes, with the removed and added tokens in their own order
+    const removedTokens = [];
+    const addedTokens = [];
+    for (; index < ops.length && ops[index].type !== 'equal'; index++) {
+      if (ops[index].type === 'removed') {
+        removedTokens.push(a[ops[index].aIndex]);
+      } else {
+        addedTokens.push(b[ops[index].bIndex]);
+      }
+    }
+
+    const isRename = removedTokens.length === 1 && addedTokens.length === 1 &&
+      IDENTIFIER_PATTERN.test(removedTokens[0]) && IDENTIFIER_PATTERN.test(addedTokens[0]);
+    if (isRename) {
+      renamed++;
+    }
+
+    removedTokens.forEach(token => pushSegment(left, token, isRename ? 'renamed' : 'removed'));
+    addedTokens.forEach(token => pushSegment(right, token, isRename ? 'renamed' : 'added'));
+  }
+
+  return { left, right, renamed };
+}
+
+/**
+ * Split code into lines; empty code has none
+ *
+ * @param {string} code - Code to split
+ * @returns {string[]} Lines without their line breaks
+ */
+function splitLines(code) {
+  return code ? code.replace(/\r\n?/g, '\n').split('\n') : [];
+}
+
+/**
+ * Diff two versions of code for a side-by-side view
+ *
+ * @param {string} before - Old code
+ * @param {string} after - New code
+ * @returns {Object} `{ rows, stats }`. Every row is `{ type, left, right }` with type
+ *   'equal', 'changed', 'removed' or 'added'; each side is `{ number, segments }` or
+ *   null, where number is 1-based and segments are `{ text, kind }`. The stats count
+ *   added, removed and changed lines and renamed tokens.
+ */
+export function diffCode(before, after) {
+  const a = splitLines(before);
+  const b = splitLines(after);
+  const ops = diffSequences(a, b, (x, y) => x === y);
+
+  const rows = [];
+  const stats = { added: 0, removed: 0, changed: 0, renamed: 0 };
+  const side = (lines, index, segments) => ({
+    number: index + 1,
+    segments: segments || [{ text: lines[index], kind: 'equal' }]
+  });
+
+  for (let index = 0; index < ops.length;) {
+    if (ops[index].type === 'equal') {
+      rows.push({ type: 'equal', left: side(a, ops[index].aIndex), right: side(b, ops[index].bIndex) });
+      index++;
+      continue;
+    }
+
+    const removedLines = [];
+    const addedLines = [];
+    for (; index < ops.length && ops[index].type !== 'equal'; index++) {
+      if (ops[index].type === 'removed') {
+        removedLines.push(ops[index].aIndex);
+      } else {
+        addedLines.push(ops[index].bIndex);
+      }
+    }
+
+    // Pair the lines of the block in order; the rest were only removed or only added
+    for (let line = 0; line < Math.max(removedLines.length, addedLines.length); line++) {
+      const aIndex = removedLines[line];
+      const bIndex = addedLines[line];
+
+      if (aIndex !== undefined && bIndex !== undefined) {
+        const words = diffWords(a[aIndex], b[bIndex]);
+        rows.push({ type: 'changed', left: side(a, aIndex, words.left), right: side(b, bIndex, words.right) });
+        stats.changed++;
+        stats.renamed += words.renamed;
+      } else if (aIndex !== undefined) {
+        rows.push({ type: 'removed', left: side(a, aIndex, [{ text: a[aIndex], kind: 'removed' }]), right: null });
+        stats.removed++;
+      } else {
+        rows.push({ type: 'added', left: null, right: side(b, bIndex, [{ text: b[bIndex], kind: 'added' }]) });
+        stats.added++;
+      }
+    }
+  }
+
+  return { rows, stats };
+}
+
+/**
+ * Rearrange side-by-side rows into unified ones
+ *
+ * Within every block of changes, the old lines come first and the new lines after them.
+ *
+ * @param {Object[]} rows - Rows from diffCode
+ * @returns {Object[]} Rows `{ type: 'equal'|'removed'|'added', oldNumber, newNumber, segments }`
+ */
+export function unifiedRows(rows) {
+  const unified = [];
+
+  for (let index = 0; index < rows.length;) {
+    const row = rows[index];
+    if (row.type === 'equal') {
+      unified.push({ type: 'equal', oldNumber: row.left.number, newNumber: row.right.number, segments: row.left.segments });
+      index++;
+      continue;
+    }
+
+    let end = index;
+    while (end < rows.length && rows[end].type !== 'equal') {
+      end++;
+    }
+
+    const block = rows.slice(index, end);
+    block.filter(change => change.left).forEach(change => unified.push({
+      type: 'removed', oldNumber: change.left.number, newNumber: null, segments: change.left.segments
+    }));
+    block.filter(change => change.right).forEach(change => unified.push({
+      type: 'added', oldNumber: null, newNumber: change.right.number, segments: change.right.segments
+    }));
+
+    index = end;
+  }
+
+  return unified;
+}
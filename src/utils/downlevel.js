@@ -0,0 +1,212 @@
+/**
+ * Downleveling of modern syntax to an older ECMAScript edition
+ *
+ * Every edition after the target contributes its Babel transform plugins. The
+ * plugins come from @babel/standalone, the browser build of Babel, because
+ * @babel/core depends on Node's path module. The features the plugins rewrite
+ * are counted beforehand so the caller can report what was converted.
+ * Runtime helpers are inlined into the output, and module syntax
+ * (import/export) is left as it is.
+ *
+ * @babel/standalone is several megabytes, so it is not imported with this
+ * module. Code that runs transformations awaits loadDownleveler() first; the
+ * transformation worker does so before every job.
+ */
+
+import { traverseAst } from './ast';
+
+/**
+ * The @babel/standalone module, once loadDownleveler has loaded it
+ */
+let babel = null;
+
+/**
+ * Editions that can be targeted, oldest first
+ */
+export const DOWNLEVEL_TARGETS = ['ES5', 'ES2015', 'ES2016', 'ES2017', 'ES2018', 'ES2019', 'ES2020', 'ES2021'];
+
+/**
+ * Plugins that remove the syntax introduced by each edition
+ *
+ * Babel merges the plugins into a single traversal, so the helpers one
+ * plugin emits are lowered by the others as well.
+ */
+const EDITION_PLUGINS = [
+  { edition: 'ES2022', plugins: ['transform-class-static-block', 'transform-class-properties', 'transform-private-methods'] },
+  { edition: 'ES2021', plugins: ['transform-logical-assignment-operators', 'transform-numeric-separator'] },
+  { edition: 'ES2020', plugins: ['transform-optional-chaining', 'transform-nullish-coalescing-operator'] },
+  { edition: 'ES2019', plugins: ['transform-optional-catch-binding'] },
+  { edition: 'ES2018', plugins: ['transform-object-rest-spread'] },
+  { edition: 'ES2017', plugins: ['transform-async-to-generator'] },
+  { edition: 'ES2016', plugins: ['transform-exponentiation-operator'] },
+  {
+    edition: 'ES2015',
+    plugins: [
+      'transform-literals', 'transform-unicode-escapes', 'transform-sticky-regex', 'transform-unicode-regex',
+      'transform-template-literals', 'transform-function-name', 'transform-arrow-functions',
+      'transform-block-scoped-functions', 'transform-classes', 'transform-object-super',
+      'transform-shorthand-properties', 'transform-duplicate-keys', 'transform-computed-properties',
+      'transform-for-of', 'transform-spread', 'transform-parameters', 'transform-destructuring',
+      'transform-block-scoping', 'transform-typeof-symbol', 'transform-new-target', 'transform-regenerator'
+    ]
+  }
+];
+
+/**
+ * Syntax features reported in the statistics, with the edition that introduced them
+ */
+const FEATURES = [
+  { name: 'arrowFunctions', edition: 'ES2015', matches: path => path.isArrowFunctionExpression() },
+  { name: 'letConst', edition: 'ES2015', matches: path => path.isVariableDeclaration() && path.node.kind !== 'var' },
+  { name: 'templateLiterals', edition: 'ES2015', matches: path => path.isTemplateLiteral() },
+  { name: 'classes', edition: 'ES2015', matches: path => path.isClass() },
+  {
+    name: 'destructuring',
+    edition: 'ES2015',
+    matches: path => (path.isObjectPattern() || path.isArrayPattern()) &&
+      !path.findParent(parent => parent.isObjectPattern() || parent.isArrayPattern())
+  },
+  { name: 'spread', edition: 'ES2015', matches: path => path.isSpreadElement() && !path.parentPath.isObjectExpression() },
+  { name: 'defaultParameters', edition: 'ES2015', matches: path => path.isAssignmentPattern() && path.listKey === 'params' },
+  { name: 'restParameters', edition: 'ES2015', matches: path => path.isRestElement() && path.listKey === 'params' },
+  {
+    name: 'shorthandProperties',
+    edition: 'ES2015',
+    matches: path => path.isObjectMethod() || (path.isObjectProperty() && path.node.shorthand &&
+      path.parentPath.isObjectExpression())
+  },
+  {
+    name: 'computedProperties',
+    edition: 'ES2015',
+    matches: path => (path.isObjectProperty() || path.isObjectMethod()) && path.node.computed &&
+      path.parentPath.isObjectExpression()
+  },
+  { name: 'forOf', edition: 'ES2015', matches: path => path.isForOfStatement() },
+  { name: 'generators', edition: 'ES2015', matches: path => path.isFunction() && path.node.generator && !path.node.async },
+  {
+    name: 'exponentiation',
+    edition: 'ES2016',
+    matches: path => path.isBinaryExpression({ operator: '**' }) || path.isAssignmentExpression({ operator: '**=' })
+  },
+  { name: 'asyncFunctions', edition: 'ES2017', matches: path => path.isFunction() && path.node.async },
+  {
+    name: 'objectRestSpread',
+    edition: 'ES2018',
+    matches: path => (path.isSpreadElement() && path.parentPath.isObjectExpression()) ||
+      (path.isRestElement() && path.parentPath.isObjectPattern())
+  },
+  { name: 'optionalCatchBinding', edition: 'ES2019', matches: path => path.isCatchClause() && !path.node.param },
+  {
+    name: 'optionalChaining',
+    edition: 'ES2020',
+    matches: path => (path.isOptionalMemberExpression() || path.isOptionalCallExpression()) && path.node.optional
+  },
+  { name: 'nullishCoalescing', edition: 'ES2020', matches: path => path.isLogicalExpression({ operator: '??' }) },
+  {
+    name: 'logicalAssignment',
+    edition: 'ES2021',
+    matches: path => path.isAssignmentExpression() && ['&&=', '||=', '??='].includes(path.node.operator)
+  },
+  {
+    name: 'numericSeparators',
+    edition: 'ES2021',
+    matches: path => path.isNumericLiteral() && Boolean(path.node.extra && path.node.extra.raw.includes('_'))
+  },
+  {
+    name: 'classFields',
+    edition: 'ES2022',
+    matches: path => path.isClassProperty() || path.isClassPrivateProperty() || path.isClassPrivateMethod() ||
+      path.isStaticBlock()
+  }
+];
+
+/**
+ * Check whether an edition is newer than the target
+ *
+ * @param {string} edition - Edition such as 'ES2017'
+ * @param {string} target - Target edition
+ * @returns {boolean} True when code for the target must not use the edition's syntax
+ */
+function isNewerThan(edition, target) {
+  const year = (name) => (name === 'ES5' ? 2009 : Number(name.slice(2)));
+  return year(edition) > year(target);
+}
+
+/**
+ * Count the features that a downlevel to the target will convert
+ *
+ * @param {Object} ast - Babel AST
+ * @param {Object[]} features - Entries of FEATURES to count
+ * @returns {Object} Feature names mapped to occurrence counts
+ */
+function countFeatures(ast, features) {
+  const counts = Object.fromEntries(features.map(feature => [feature.name, 0]));
+
+  traverseAst(ast, {
+    enter(path) {
+      features.forEach(feature => {
+        if (feature.matches(path)) {
+          counts[feature.name]++;
+        }
+      });
+    }
+  });
+
+  return counts;
+}
+
+/**
+ * Load the Babel build that downlevel runs on
+ *
+ * @returns {Promise<void>} Resolves once downlevel can be called
+ */
+export async function loadDownleveler() {
+  if (!babel) {
+    babel = await import('@babel/standalone');
+  }
+}
+
+/**
+ * Rewrite an AST so it only uses syntax of the target edition
+ *
+ * @param {Object} ast - Babel AST of the code
+ * @param {string} code - Source code the AST was parsed from
+ * @param {Object} options - Downleveling options
+ * @param {string} options.target - Target edition, one of DOWNLEVEL_TARGETS
+ * @returns {Object} `{ ast, target, transformations }` with the rewritten AST, the normalized
+ *   target and a count per converted feature
+ * @throws {Error} When the target is not supported, or loadDownleveler has not finished
+ */
+export function downlevel(ast, code, options = {}) {
+  const target = String(options.target || 'ES5').toUpperCase().replace(/^ES6$/, 'ES2015');
+
+  if (!DOWNLEVEL_TARGETS.includes(target)) {
+    throw new Error(`Unsupported target "${options.target}", expected one of ${DOWNLEVEL_TARGETS.join(', ')}`);
+  }
+
+  if (!babel) {
+    throw new Error('Downleveling is not loaded yet; await loadDownleveler() first');
+  }
+
+  const transformations = countFeatures(ast, FEATURES.filter(feature => isNewerThan(feature.edition, target)));
+
+  const plugins = EDITION_PLUGINS
+    .filter(stage => isNewerThan(stage.edition, target))
+    .flatMap(stage => stage.plugins);
+
+  const result = babel.transformFromAst(ast, code, {
+    ast: true,
+    code: false,
+    configFile: false,
+    babelrc: false,
+    browserslistConfigFile: false,
+    sourceType: ast.program.sourceType,
+    plugins
+  });
+
+  return {
+    ast: result.ast,
+    target,
+    transformations
+  };
+}
@@ -0,0 +1,18 @@
+import { describe, it, expect } from 'vitest';
+import { parseCode, printCode } from './ast';
+import { downlevel, loadDownleveler } from './downlevel';
+
+describe('downlevel', () => {
+  it('asks for Babel to be loaded first', () => {
+    expect(() => downlevel(parseCode('const a = 1;'), 'const a = 1;')).toThrow(/loadDownleveler/);
+  });
+
+  it('rewrites let, const and arrow functions for ES5 once loaded', async () => {
+    await loadDownleveler();
+    const code = 'const f = (x) => x + 1;';
+    const { ast, transformations } = downlevel(parseCode(code), code, { target: 'ES5' });
+
+    expect(printCode(ast)).toContain('var f = function');
+    expect(transformations).toMatchObject({ arrowFunctions: 1, letConst: 1 });
+  });
+});
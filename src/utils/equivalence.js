@@ -0,0 +1,592 @@
+/**
+ * Differential execution: run the code before and after a transformation in
+ * separate JS-Interpreter sandboxes and compare what they do
+ *
+ * Both programs are downleveled to ES5, which is all the interpreter runs.
+ * Console calls are recorded instead of printed. Timers run on a virtual
+ * clock that only advances when the next timer fires. Math.random is a seeded
+ * generator and Date.now follows the virtual clock. Together these make two
+ * runs of equivalent code produce the same trace.
+ *
+ * A run is split into phases: the program itself, then one call of a
+ * top-level function per generated input. Each phase records its console
+ * output and its outcome (a return value, an uncaught error or a timeout).
+ * Timers scheduled during a phase run before the phase ends.
+ *
+ * A top-level function of the original that has no counterpart in the
+ * transformed program is a divergence of its own. Code that may read a
+ * let, const or class binding before its declaration is left unverified,
+ * because the ES5 version reads undefined where the original throws.
+ */
+
+import Interpreter from 'js-interpreter';
+import { parseCode, printCode, traverseAst, t } from './ast';
+import { downlevel } from './downlevel';
+
+/**
+ * Default time limit for each of the two runs, in milliseconds
+ */
+const DEFAULT_TIMEOUT = 2000;
+
+/**
+ * Number of interpreter steps between two checks of the time limit
+ */
+const STEPS_PER_CHECK = 1000;
+
+/**
+ * Maximum number of timer callbacks run per phase, so intervals end
+ */
+const MAX_TIMER_RUNS = 100;
+
+/**
+ * Number of generated calls per top-level function
+ */
+const CALLS_PER_FUNCTION = 6;
+
+/**
+ * Maximum number of divergences reported
+ */
+const MAX_DIVERGENCES = 10;
+
+/**
+ * Seed of the Math.random replacement
+ */
+const RANDOM_SEED = 0x2f6b1d;
+
+/**
+ * Value of Date.now when the virtual clock starts
+ */
+const CLOCK_START = Date.UTC(2024, 0, 1);
+
+/**
+ * Arguments the generated calls are built from, as ES5 source
+ */
+const SAMPLE_ARGUMENTS = ['0', '1', '-7', '3.5', "''", "'abc'", 'true', 'false', 'null', 'undefined', '[1, 2, 3]', "{ a: 1, b: 'x' }"];
+
+/**
+ * Errors the engine throws itself; their messages name identifiers, which
+ * renaming transformations change, so only the error type is compared
+ */
+const ENGINE_ERRORS = ['TypeError', 'ReferenceError', 'RangeError', 'SyntaxError'];
+
+/**
+ * Sandbox code that replaces the timer functions and Date.now
+ *
+ * Runs before the program; `__sandbox.runNextTimer()` fires the earliest timer
+ * and returns false when none is left.
+ */
+const PRELUDE = `
+var __sandbox = (function (global) {
+  var timers = [];
+  var clock = 0;
+  var nextId = 1;
+  var sequence = 0;
+
+  function schedule(args, repeat) {
+    var delay = Math.max(0, Number(args[1]) || 0);
+    var id = nextId++;
+    timers.push({
+      id: id,
+      time: clock + delay,
+      sequence: sequence++,
+      interval: repeat ? Math.max(1, delay) : 0,
+      callback: args[0],
+      args: Array.prototype.slice.call(args, 2)
+    });
+    return id;
+  }
+
+  function cancel(id) {
+    for (var i = 0; i < timers.length; i++) {
+      if (timers[i].id === id) {
+        timers.splice(i, 1);
+        return;
+      }
+    }
+  }
+
+  global.setTimeout = function () { return schedule(arguments, false); };
+  global.setInterval = function () { return schedule(arguments, true); };
+  global.clearTimeout = cancel;
+  global.clearInterval = cancel;
+  Date.now = function () { return ${CLOCK_START} + clock; };
+
+  return {
+    runNextTimer: function () {
+      if (!timers.length) {
+        return false;
+      }
+
+      var next = 0;
+      for (var i = 1; i < timers.length; i++) {
+        if (timers[i].time < timers[next].time ||
+            (timers[i].time === timers[next].time && timers[i].sequence < timers[next].sequence)) {
+          next = i;
+        }
+      }
+
+      var timer = timers[next];
+      clock = timer.time;
+      if (timer.interval) {
+        timer.time += timer.interval;
+        timer.sequence = sequence++;
+      } else {
+        timers.splice(next, 1);
+      }
+
+      if (typeof timer.callback === 'function') {
+        timer.callback.apply(global, timer.args);
+      } else {
+        (0, eval)(String(timer.callback));
+      }
+      return true;
+    }
+  };
+})(this);
+`;
+
+/**
+ * Create a Math.random replacement that returns the same sequence on every run
+ *
+ * @param {number} seed - Initial state
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+function seededRandom(seed) {
+  let state = seed;
+
+  // mulberry32
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let value = Math.imul(state ^ (state >>> 15), 1 | state);
+    value = (value + Math.imul(value ^ (value >>> 7), 61 | value)) ^ value;
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Describe a sandbox value so values of two runs can be compared as strings
+ *
+ * @param {Object} interpreter - JS-Interpreter instance the value belongs to
+ * @param {*} value - Primitive or interpreter object
+ * @param {boolean} quoteStrings - Whether strings are quoted, as they are inside objects
+ * @param {Set} seen - Objects being described, to stop at cycles
+ * @returns {string} Description of the value
+ */
+function describeValue(interpreter, value, quoteStrings = true, seen = new Set()) {
+  if (typeof value === 'string') {
+    return quoteStrings ? JSON.stringify(value) : value;
+  }
+  if (!(value instanceof Interpreter.Object)) {
+    return Object.is(value, -0) ? '-0' : String(value);
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+
+  // Function sources and names change with every transformation
+  if (interpreter.isa(value, interpreter.FUNCTION)) {
+    return '[Function]';
+  }
+  if (interpreter.isa(value, interpreter.ERROR)) {
+    return `${interpreter.getProperty(value, 'name')}: ${interpreter.getProperty(value, 'message')}`;
+  }
+  if (interpreter.isa(value, interpreter.REGEXP) || interpreter.isa(value, interpreter.DATE)) {
+    return String(interpreter.pseudoToNative(value));
+  }
+
+  seen.add(value);
+  const isArray = interpreter.isa(value, interpreter.ARRAY);
+  const entries = Object.keys(value.properties)
+    .filter(key => !(isArray && key === 'length'))
+    .map(key => {
+      const item = describeValue(interpreter, value.properties[key], true, seen);
+      return isArray ? item : `${key}: ${item}`;
+    });
+  seen.delete(value);
+
+  return isArray ? `[${entries.join(', ')}]` : `{${entries.join(', ')}}`;
+}
+
+/**
+ * Describe an uncaught error thrown out of the interpreter
+ *
+ * @param {Error|string} error - Error rethrown by JS-Interpreter
+ * @returns {Object} `{ text, detail }`: the part that is compared and the full message
+ */
+function describeError(error) {
+  if (!(error instanceof Error)) {
+    return { text: `Uncaught ${error}`, detail: `Uncaught ${error}` };
+  }
+
+  const detail = `${error.name}: ${error.message}`;
+  return { text: ENGINE_ERRORS.includes(error.name) ? error.name : detail, detail };
+}
+
+/**
+ * Find a block-scoped binding that may be read before its declaration runs
+ *
+ * Downleveling turns let, const and class into var, so a read in the temporal
+ * dead zone returns undefined in the sandbox instead of throwing. A binding is
+ * at risk when it is used before its declaration in the source, from a hoisted
+ * function declaration, or inside a switch, where cases share one scope.
+ *
+ * @param {Object} ast - Babel AST
+ * @returns {string|null} Name of the first binding at risk, or null
+ */
+function earlyBlockScopedRead(ast) {
+  let found = null;
+
+  const check = (path, declarationEnd) => {
+    const declaringFunction = path.getFunctionParent();
+    const inSwitchCase = path.parentPath.isSwitchCase() || path.parentPath.parentPath.isSwitchCase();
+
+    Object.keys(path.getBindingIdentifiers()).forEach(name => {
+      const binding = path.scope.getBinding(name);
+      if (found || !binding || binding.path.node !== path.node) {
+        return;
+      }
+
+      // A class refers to itself from its own body only once it is defined
+      const usages = [...binding.referencePaths, ...binding.constantViolations]
+        .filter(usage => !path.isClassDeclaration() || !usage.isDescendant(path));
+
+      const atRisk = usages.some(usage => {
+        if (inSwitchCase || !(usage.node.start >= declarationEnd)) {
+          return true;
+        }
+        for (let fn = usage.getFunctionParent(); fn && fn !== declaringFunction; fn = fn.parentPath.getFunctionParent()) {
+          if (fn.isFunctionDeclaration()) {
+            return true;
+          }
+        }
+        return false;
+      });
+
+      if (atRisk) {
+        found = name;
+      }
+    });
+  };
+
+  traverseAst(ast, {
+    VariableDeclaration(path) {
+      if (path.node.kind !== 'var') {
+        path.node.declarations.forEach((declarator, index) => check(path.get(`declarations.${index}`), declarator.end));
+      }
+    },
+    ClassDeclaration(path) {
+      if (path.node.id) {
+        check(path, path.node.id.end);
+      }
+    }
+  });
+
+  return found;
+}
+
+/**
+ * Turn code into an ES5 program for the sandbox and list its top-level functions
+ *
+ * @param {string} code - Code to prepare
+ * @returns {Object} `{ source, functions }` where every function is `{ name, arity }`
+ * @throws {Error} When the code uses syntax the sandbox cannot run, or block scoping
+ *   that ES5 cannot reproduce
+ */
+function prepareProgram(code) {
+  const ast = parseCode(code);
+
+  traverseAst(ast, {
+    'ImportDeclaration|ExportDeclaration'(path) {
+      throw path.buildCodeFrameError('Modules cannot run in the sandbox');
+    },
+    'JSXElement|JSXFragment'(path) {
+      throw path.buildCodeFrameError('JSX cannot run in the sandbox');
+    }
+  });
+
+  // Plain functions only; async functions and generators return promises and iterators
+  const functions = [];
+  const addFunction = (name, fn) => {
+    if (fn && t.isFunction(fn) && !fn.async && !fn.generator) {
+      functions.push({ name, arity: fn.params.length });
+    }
+  };
+
+  ast.program.body.forEach(statement => {
+    if (t.isFunctionDeclaration(statement) && statement.id) {
+      addFunction(statement.id.name, statement);
+    } else if (t.isVariableDeclaration(statement)) {
+      statement.declarations
+        .filter(declarator => t.isIdentifier(declarator.id))
+        .forEach(declarator => addFunction(declarator.id.name, declarator.init));
+    }
+  });
+
+  const earlyRead = earlyBlockScopedRead(ast);
+  if (earlyRead) {
+    throw new Error(`\`${earlyRead}\` may be read before its declaration, which the ES5 sandbox cannot detect`);
+  }
+
+  const { ast: es5 } = downlevel(ast, code, { target: 'ES5' });
+  return { source: printCode(es5), functions };
+}
+
+/**
+ * Pair the top-level functions of the two programs
+ *
+ * Functions are paired by name first. Renaming transformations change the
+ * names, so the functions left over are paired in order when as many are left
+ * on both sides.
+ *
+ * @param {Object[]} originalFunctions - Functions of the original program
+ * @param {Object[]} transformedFunctions - Functions of the transformed program
+ * @returns {Object} `{ pairs, unmatched }`: pairs `{ original, transformed }` in the order
+ *   of the original, and the original functions the transformed program has no match for
+ */
+function pairFunctions(originalFunctions, transformedFunctions) {
+  const transformedNames = new Set(transformedFunctions.map(fn => fn.name));
+  const originalNames = new Set(originalFunctions.map(fn => fn.name));
+  const originalLeft = originalFunctions.filter(fn => !transformedNames.has(fn.name));
+  const transformedLeft = transformedFunctions.filter(fn => !originalNames.has(fn.name));
+  const pairByOrder = originalLeft.length === transformedLeft.length;
+
+  const pairs = originalFunctions.flatMap(fn => {
+    if (transformedNames.has(fn.name)) {
+      return [{ original: fn, transformed: transformedFunctions.find(other => other.name === fn.name) }];
+    }
+    return pairByOrder ? [{ original: fn, transformed: transformedLeft[originalLeft.indexOf(fn)] }] : [];
+  });
+
+  return { pairs, unmatched: pairByOrder ? [] : originalLeft };
+}
+
+/**
+ * Build the argument lists of the generated calls for a function
+ *
+ * @param {number} arity - Number of declared parameters
+ * @returns {string[]} Argument lists as ES5 source
+ */
+function generatedArguments(arity) {
+  if (arity === 0) {
+    return [''];
+  }
+
+  return Array.from({ length: CALLS_PER_FUNCTION }, (_, call) =>
+    Array.from({ length: arity }, (_, param) =>
+      SAMPLE_ARGUMENTS[(call * 5 + param * 7) % SAMPLE_ARGUMENTS.length]).join(', '));
+}
+
+/**
+ * Run a program and the generated calls in a fresh sandbox
+ *
+ * @param {string} source - ES5 program
+ * @param {Object[]} calls - Calls to make after the program, `{ label, source }`
+ * @param {number} timeout - Time limit for the whole run, in milliseconds
+ * @returns {Object[]} One `{ label, console, outcome }` per phase that ran; the
+ *   outcome is `{ type: 'completed'|'return'|'error'|'timeout', text, detail }`
+ * @throws {Error} When the interpreter cannot parse the program
+ */
+function runTrace(source, calls, timeout) {
+  let output = [];
+
+  const initSandbox = (interpreter, globalObject) => {
+    const consoleObject = interpreter.nativeToPseudo({});
+    ['log', 'info', 'warn', 'error', 'debug'].forEach(method => {
+      interpreter.setProperty(consoleObject, method, interpreter.createNativeFunction((...args) => {
+        output.push(`${method}: ${args.map(arg => describeValue(interpreter, arg, false)).join(' ')}`);
+      }));
+    });
+    interpreter.setProperty(globalObject, 'console', consoleObject);
+
+    const random = seededRandom(RANDOM_SEED);
+    interpreter.setProperty(interpreter.getProperty(globalObject, 'Math'), 'random',
+      interpreter.createNativeFunction(() => random()));
+  };
+
+  const interpreter = new Interpreter(PRELUDE, initSandbox);
+
+  // Regular expressions run natively; the default mode needs an asynchronous Web Worker
+  interpreter.REGEXP_MODE = 1;
+
+  const deadline = Date.now() + timeout;
+  let steps = 0;
+
+  // Run appended code to completion; false when the time limit was reached
+  const execute = () => {
+    while (interpreter.step()) {
+      steps++;
+      if (steps % STEPS_PER_CHECK === 0 && Date.now() > deadline) {
+        return false;
+      }
+    }
+    return true;
+  };
+
+  // Run one phase: its code, then the timers it scheduled
+  const runPhase = (label) => {
+    output = [];
+    let outcome;
+
+    try {
+      // The completion value of the program itself is not part of its behavior
+      outcome = !execute()
+        ? { type: 'timeout', text: 'Timed out' }
+        : label === 'program'
+          ? { type: 'completed', text: 'Finished' }
+          : { type: 'return', text: describeValue(interpreter, interpreter.value) };
+    } catch (error) {
+      outcome = { type: 'error', ...describeError(error) };
+    }
+
+    for (let run = 0; outcome.type !== 'timeout' && run < MAX_TIMER_RUNS; run++) {
+      interpreter.appendCode('__sandbox.runNextTimer()');
+      try {
+        if (!execute()) {
+          outcome = { type: 'timeout', text: 'Timed out in a timer' };
+        } else if (interpreter.value === false) {
+          break;
+        }
+      } catch (error) {
+        const { text } = describeError(error);
+        output.push(`uncaught in timer: ${text}`);
+      }
+    }
+
+    return { label, console: output, outcome };
+  };
+
+  // Install the prelude, then run the program and the calls after it
+  const phases = [];
+  execute();
+  interpreter.appendCode(source);
+  phases.push(runPhase('program'));
+
+  for (const call of calls) {
+    if (phases[phases.length - 1].outcome.type === 'timeout') {
+      break;
+    }
+    interpreter.appendCode(call.source);
+    phases.push(runPhase(call.label));
+  }
+
+  return phases;
+}
+
+/**
+ * Compare the phases of two runs
+ *
+ * @param {Object[]} originalPhases - Phases of the original run
+ * @param {Object[]} transformedPhases - Phases of the transformed run
+ * @returns {Object[]} Divergences `{ phase, kind, message, original, transformed }`
+ */
+function comparePhases(originalPhases, transformedPhases) {
+  const divergences = [];
+
+  originalPhases.forEach((original, index) => {
+    const transformed = transformedPhases[index];
+    if (!transformed) {
+      return;
+    }
+
+    const phase = original.label;
+    const lineCount = Math.max(original.console.length, transformed.console.length);
+    for (let line = 0; line < lineCount; line++) {
+      if (original.console[line] !== transformed.console[line]) {
+        divergences.push({
+          phase,
+          kind: 'console',
+          message: `Console output ${line + 1} differs`,
+          original: original.console[line] ?? '(nothing)',
+          transformed: transformed.console[line] ?? '(nothing)'
+        });
+        break;
+      }
+    }
+
+    const a = original.outcome;
+    const b = transformed.outcome;
+    if (a.type !== b.type || a.text !== b.text) {
+      const kind = a.type === 'timeout' || b.type === 'timeout'
+        ? 'timeout'
+        : a.type === 'error' || b.type === 'error' ? 'error' : 'return';
+
+      divergences.push({
+        phase,
+        kind,
+        message: kind === 'return' ? 'Return values differ' : kind === 'error' ? 'Thrown errors differ' : 'Only one run finished',
+        original: a.detail || a.text,
+        transformed: b.detail || b.text
+      });
+    }
+  });
+
+  return divergences.slice(0, MAX_DIVERGENCES);
+}
+
+/**
+ * Check that transformed code behaves like the original by running both
+ *
+ * @param {string} originalCode - Code before the transformation
+ * @param {string} transformedCode - Code after the transformation
+ * @param {Object} options - Checker options
+ * @param {number} options.timeout - Time limit for each run, in milliseconds
+ * @returns {Object} `{ status, reason, divergences, stats }`; status is 'equivalent',
+ *   'divergent', or 'unverified' when the code could not be run, with `reason` saying why
+ */
+export function checkEquivalence(originalCode, transformedCode, options = {}) {
+  const timeout = Number(options.timeout) || DEFAULT_TIMEOUT;
+  const unverified = (reason) => ({
+    status: 'unverified',
+    reason,
+    divergences: [],
+    stats: { phasesCompared: 0, functionsCompared: 0 }
+  });
+
+  let original;
+  let transformed;
+  try {
+    original = prepareProgram(originalCode);
+    transformed = prepareProgram(transformedCode);
+  } catch (error) {
+    return unverified(error.message.split('\n')[0]);
+  }
+
+  const { pairs, unmatched } = pairFunctions(original.functions, transformed.functions);
+  const callsFor = (side) => pairs.flatMap(pair => generatedArguments(pair.original.arity).map(args => ({
+    label: `${pair.original.name}(${args})`,
+    source: `${pair[side].name}(${args})`
+  })));
+
+  let originalPhases;
+  let transformedPhases;
+  try {
+    originalPhases = runTrace(original.source, callsFor('original'), timeout);
+    transformedPhases = runTrace(transformed.source, callsFor('transformed'), timeout);
+  } catch (error) {
+    return unverified(`The sandbox cannot run this code: ${error.message}`);
+  }
+
+  if (originalPhases[0].outcome.type === 'timeout' && transformedPhases[0].outcome.type === 'timeout') {
+    return unverified(`Neither program finished within ${timeout} ms`);
+  }
+
+  // A function that is gone can no longer be called by other scripts
+  const missing = unmatched.map(fn => ({
+    phase: 'program',
+    kind: 'missing',
+    message: `Top-level function \`${fn.name}\` is missing`,
+    original: `${fn.name}/${fn.arity}`,
+    transformed: '(nothing)'
+  }));
+  const divergences = [...missing, ...comparePhases(originalPhases, transformedPhases)].slice(0, MAX_DIVERGENCES);
+
+  return {
+    status: divergences.length > 0 ? 'divergent' : 'equivalent',
+    reason: null,
+    divergences,
+    stats: {
+      phasesCompared: Math.min(originalPhases.length, transformedPhases.length),
+      functionsCompared: pairs.length
+    }
+  };
+}
@@ -0,0 +1,41 @@
+import { beforeAll, describe, it, expect } from 'vitest';
+import { checkEquivalence } from './equivalence';
+import { loadDownleveler } from './downlevel';
+
+beforeAll(loadDownleveler);
+
+describe('checkEquivalence', () => {
+  it('finds the same behavior equivalent', () => {
+    const result = checkEquivalence('function add(a, b) { return a + b; }', 'function add(x, y) { return x + y; }');
+
+    expect(result.status).toBe('equivalent');
+    expect(result.stats.functionsCompared).toBe(1);
+  });
+
+  it('reports a top-level function the transformation removed', () => {
+    const result = checkEquivalence('function helper() { return 1; }\nconsole.log(2);', 'console.log(2);');
+
+    expect(result.status).toBe('divergent');
+    expect(result.divergences[0]).toMatchObject({ kind: 'missing', original: 'helper/0' });
+  });
+
+  it('leaves a const read from a hoisted function before its declaration unverified', () => {
+    const result = checkEquivalence(
+      'console.log(f());\nvar a = 1;\nfunction f() { return a; }',
+      'console.log(f());\nconst a = 1;\nfunction f() { return a; }'
+    );
+
+    expect(result.status).toBe('unverified');
+    expect(result.reason).toContain('`a`');
+  });
+
+  it('leaves a let read before its declaration unverified', () => {
+    expect(checkEquivalence('console.log(x); var x = 1;', 'console.log(x); let x = 1;').status).toBe('unverified');
+  });
+
+  it('still runs block-scoped code that is only read after its declaration', () => {
+    const code = 'const a = 1;\nlet b = a + 1;\nconsole.log(b);\nconst g = () => a;\nconsole.log(g());';
+
+    expect(checkEquivalence(code, code).status).toBe('equivalent');
+  });
+});
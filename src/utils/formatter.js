@@ -0,0 +1,473 @@
+/**
+ * Token-aware code layout
+ *
+ * The Babel generator puts every statement on its own line, indents blocks and
+ * object literals, and keeps comments, but it always indents by two spaces and
+ * never wraps a line. This module takes the generator output, tokenizes it, and
+ * re-indents it to the requested width. Lines that are still too long are
+ * wrapped between tokens: member-call chains break before each `.method(`, and
+ * argument lists, arrays and patterns put one item per line.
+ *
+ * Line breaks are only added after an opening bracket or a comma and before a
+ * closing bracket or a chained `.`, so automatic semicolon insertion never
+ * changes the meaning of the code. Template literals and JSX are never split.
+ */
+
+import { GenMapping, maybeAddMapping, toEncodedMap } from '@jridgewell/gen-mapping';
+import { parseCode, printWithSourceMap, traverseAst, t } from './ast';
+import { composeSourceMaps } from './sourceMap';
+
+/**
+ * Indentation step of the generator output
+ */
+const GENERATOR_INDENT = 2;
+
+/**
+ * Default number of spaces per indentation level
+ */
+const DEFAULT_INDENT_WIDTH = 2;
+
+/**
+ * Default maximum line length before lines are wrapped
+ */
+const DEFAULT_MAX_LINE_LENGTH = 80;
+
+/**
+ * Closing bracket for each opening bracket token
+ */
+const BRACKETS = { '(': ')', '[': ']', '{': '}' };
+
+/**
+ * Tokens whose text may span several lines and must be kept verbatim
+ */
+const MULTILINE_TOKENS = ['template', 'string', 'CommentBlock'];
+
+/**
+ * Label of a Babel token, for both syntax tokens and comments
+ *
+ * @param {Object} token - Token from the parser
+ * @returns {string} Label such as '(', 'name' or 'CommentLine'
+ */
+function tokenLabel(token) {
+  return typeof token.type === 'string' ? token.type : token.type.label;
+}
+
+/**
+ * Collect the ranges of template literals and JSX, which are never split
+ *
+ * @param {Object} ast - AST of the generated code
+ * @returns {Array<number[]>} Outermost `[start, end]` ranges in source order
+ */
+function atomicRanges(ast) {
+  const ranges = [];
+
+  traverseAst(ast, {
+    'TemplateLiteral|JSXElement|JSXFragment'(path) {
+      ranges.push([path.node.start, path.node.end]);
+      path.skip();
+    }
+  });
+
+  return ranges.sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Turn the token list into layout units, merging atomic ranges into one unit each
+ *
+ * @param {Object[]} tokens - Tokens of the generated code
+ * @param {Array<number[]>} ranges - Atomic ranges from atomicRanges
+ * @returns {Object[]} Units with `start`, `end` and `label`
+ */
+function layoutUnits(tokens, ranges) {
+  const units = [];
+  let rangeIndex = 0;
+
+  tokens.forEach(token => {
+    const label = tokenLabel(token);
+    if (label === 'eof') {
+      return;
+    }
+
+    while (rangeIndex < ranges.length && ranges[rangeIndex][1] <= token.start) {
+      rangeIndex++;
+    }
+
+    const range = ranges[rangeIndex];
+    if (range && token.start >= range[0]) {
+      const last = units[units.length - 1];
+      if (!last || last.start !== range[0]) {
+        units.push({ start: range[0], end: range[1], label: 'atom' });
+      }
+      return;
+    }
+
+    units.push({ start: token.start, end: token.end, label });
+  });
+
+  return units;
+}
+
+/**
+ * Match the brackets of a run of units
+ *
+ * @param {Object[]} units - Units of one line
+ * @returns {Object} `{ closers, depths }`: the index of the closing unit for every
+ *   opening unit closed within the run, and the bracket depth of every unit
+ */
+function matchBrackets(units) {
+  const closers = new Map();
+  const depths = [];
+  const open = [];
+
+  units.forEach((unit, index) => {
+    if (BRACKETS[unit.label]) {
+      depths.push(open.length);
+      open.push(index);
+    } else if (Object.values(BRACKETS).includes(unit.label) && open.length > 0 &&
+        BRACKETS[units[open[open.length - 1]].label] === unit.label) {
+      closers.set(open.pop(), index);
+      depths.push(open.length);
+    } else {
+      depths.push(open.length);
+    }
+  });
+
+  return { closers, depths };
+}
+
+/**
+ * Find the longest member-call chain at the top level of a run of units
+ *
+ * Only `.name(` links count; the chain ends at anything other than names,
+ * dots and bracket groups, such as an operator.
+ *
+ * @param {Object[]} units - Units of one line
+ * @param {string} code - Generated code the units point into
+ * @returns {number[]} Indices of the dots that start each call, empty when there
+ *   are fewer than two calls
+ */
+function findCallChain(units, code) {
+  const { closers } = matchBrackets(units);
+  const isWord = (unit) => Boolean(unit) && /^[\w$#]/.test(code.slice(unit.start, unit.end));
+
+  let best = [];
+  let current = [];
+
+  for (let index = 0; index < units.length; index++) {
+    const unit = units[index];
+
+    if ((unit.label === '.' || unit.label === '?.') && isWord(units[index + 1]) &&
+        units[index + 2] && units[index + 2].label === '(' && closers.has(index + 2)) {
+      current.push(index);
+      index = closers.get(index + 2);
+    } else if (closers.has(index)) {
+      index = closers.get(index);
+    } else if (unit.label !== '.' && unit.label !== '?.' && !isWord(unit)) {
+      current = [];
+    }
+
+    if (current.length > best.length) {
+      best = [...current];
+    }
+  }
+
+  return best.length >= 2 ? best : [];
+}
+
+/**
+ * Find the widest bracket group at the top level of a run of units
+ *
+ * @param {Object[]} units - Units of one line
+ * @returns {Object|null} `{ open, close }` unit indices of a non-empty group, or null
+ */
+function findWidestGroup(units) {
+  const { closers, depths } = matchBrackets(units);
+  let widest = null;
+
+  closers.forEach((close, open) => {
+    if (depths[open] !== 0 || close === open + 1) {
+      return;
+    }
+    if (!widest || units[close].end - units[open].start >= units[widest.close].end - units[widest.open].start) {
+      widest = { open, close };
+    }
+  });
+
+  return widest;
+}
+
+/**
+ * Wrap a run of units that is too long for one line
+ *
+ * @param {Object[]} units - Units of the line, all on the same line
+ * @param {number} level - Indentation level of the line
+ * @param {Object} context - `{ code, indentWidth, maxLineLength }`
+ * @returns {Object[]} Output lines as `{ level, text, start }`, where `start` is the offset
+ *   of the text in the generated code
+ */
+function wrapUnits(units, level, context) {
+  const { code, indentWidth, maxLineLength } = context;
+  const text = code.slice(units[0].start, units[units.length - 1].end);
+
+  if (level * indentWidth + text.length <= maxLineLength || units.length < 2) {
+    return [{ level, text, start: units[0].start }];
+  }
+
+  const wrapAll = (pieces, pieceLevel) => pieces
+    .filter(piece => piece.length > 0)
+    .flatMap(piece => wrapUnits(piece, pieceLevel, context));
+
+  // promise.then(a).catch(b) becomes one call per line
+  const chain = findCallChain(units, code);
+  if (chain.length > 0) {
+    const links = chain.map((start, index) => units.slice(start, chain[index + 1]));
+    return [
+      ...wrapAll([units.slice(0, chain[0])], level),
+      ...wrapAll(links, level + 1)
+    ];
+  }
+
+  // fn(a, b, c) and [a, b, c] get one item per line
+  const group = findWidestGroup(units);
+  if (group) {
+    const inner = units.slice(group.open + 1, group.close);
+    const { depths } = matchBrackets(inner);
+    const items = [[]];
+
+    inner.forEach((unit, index) => {
+      items[items.length - 1].push(unit);
+      if (unit.label === ',' && depths[index] === 0) {
+        items.push([]);
+      }
+    });
+
+    return [
+      ...wrapAll([units.slice(0, group.open + 1)], level),
+      ...wrapAll(items, level + 1),
+      ...wrapAll([units.slice(group.close)], level)
+    ];
+  }
+
+  return [{ level, text, start: units[0].start }];
+}
+
+/**
+ * Find the member-call chains that the generator spread over several lines
+ *
+ * `list.map(function () {...}).filter(...)` is printed with every callback
+ * body indented but all links on the lines of the previous callback. Such
+ * chains get a line break before each `.method(` instead, and everything from
+ * the first break to the end of the chain is indented one more level.
+ *
+ * @param {Object} ast - AST of the generated code
+ * @param {string} code - Generated code
+ * @param {Object[]} tokens - Tokens of the generated code
+ * @returns {Object} `{ breaks, shifts }`: offsets to break before, and `[start, end]`
+ *   ranges whose lines are indented one more level
+ */
+function chainBreaks(ast, code, tokens) {
+  const dots = new Map(tokens
+    .filter(token => ['.', '?.'].includes(tokenLabel(token)))
+    .map(token => [token.start, token]));
+
+  const breaks = new Set();
+  const shifts = [];
+
+  // Offset of the dot between a member expression's object and property
+  const dotOf = (member) => {
+    for (let offset = member.object.end; offset < member.property.start; offset++) {
+      if (dots.has(offset)) {
+        return offset;
+      }
+    }
+    return null;
+  };
+
+  const isCall = (node) => t.isCallExpression(node) || t.isOptionalCallExpression(node);
+  const isMember = (node) => t.isMemberExpression(node) || t.isOptionalMemberExpression(node);
+
+  traverseAst(ast, {
+    'CallExpression|OptionalCallExpression'(path) {
+      const { parent } = path.parentPath;
+
+      // Start from the outermost call of a chain
+      if ((isMember(path.parent) && isCall(parent) && parent.callee === path.parent) ||
+          !code.slice(path.node.start, path.node.end).includes('\n')) {
+        return;
+      }
+
+      const links = [];
+      for (let node = path.node; isCall(node) || isMember(node); node = isCall(node) ? node.callee : node.object) {
+        const dot = isCall(node) && isMember(node.callee) && !node.callee.computed ? dotOf(node.callee) : null;
+        if (dot !== null) {
+          links.push(dot);
+        }
+      }
+
+      if (links.length >= 2) {
+        links.forEach(dot => breaks.add(dot));
+        shifts.push([Math.min(...links), path.node.end]);
+      }
+    }
+  });
+
+  return { breaks, shifts };
+}
+
+/**
+ * Read a layout option that must be a positive integer
+ *
+ * @param {*} value - Option value; undefined, null or '' for the default
+ * @param {string} name - Option name for the error message
+ * @param {number} fallback - Default value
+ * @returns {number} The option value
+ * @throws {Error} When the value is not a positive integer
+ */
+function positiveIntegerOption(value, name, fallback) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`Invalid ${name} "${value}", expected a positive integer`);
+  }
+  return number;
+}
+
+/**
+ * Print an AST with configurable indentation, wrapping lines that are too long
+ *
+ * @param {Object} ast - Babel AST
+ * @param {string} source - Source code the AST was parsed from
+ * @param {Object} options - Layout options
+ * @param {number} options.indentWidth - Spaces per indentation level
+ * @param {number} options.maxLineLength - Length above which lines are wrapped
+ * @returns {Object} `{ code, map, linesWrapped }` with the laid out code, its source map
+ *   and the number of lines that had to be wrapped
+ * @throws {Error} When indentWidth or maxLineLength is not a positive integer
+ */
+export function layoutCode(ast, source, options = {}) {
+  const indentWidth = positiveIntegerOption(options.indentWidth, 'indent width', DEFAULT_INDENT_WIDTH);
+  const maxLineLength = positiveIntegerOption(options.maxLineLength, 'maximum line length', DEFAULT_MAX_LINE_LENGTH);
+
+  const { code, map: generatorMap } = printWithSourceMap(ast, source);
+  const generated = parseCode(code, { tokens: true });
+  const units = layoutUnits(generated.tokens, atomicRanges(generated));
+  const { breaks, shifts } = chainBreaks(generated, code, generated.tokens);
+  const verbatimTokens = generated.tokens.filter(token => MULTILINE_TOKENS.includes(tokenLabel(token)) &&
+    token.loc.start.line !== token.loc.end.line);
+
+  const lines = code.split('\n');
+  const lineStarts = [];
+  lines.reduce((offset, line) => {
+    lineStarts.push(offset);
+    return offset + line.length + 1;
+  }, 0);
+
+  // Index of the first unit that ends after an offset
+  const unitAfter = (offset) => {
+    let low = 0;
+    let high = units.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (units[middle].end <= offset) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  };
+
+  // Units that overlap the offsets from start to end
+  const unitsBetween = (start, end) => {
+    const found = [];
+    for (let index = unitAfter(start); index < units.length && units[index].start < end; index++) {
+      found.push(units[index]);
+    }
+    return found;
+  };
+
+  // The layout map points from the output back into the generated code
+  const layoutMap = new GenMapping();
+  const mapOffset = (outputLine, column, offset) => {
+    let line = 0;
+    for (let high = lineStarts.length - 1; line < high;) {
+      const middle = (line + high + 1) >> 1;
+      if (lineStarts[middle] <= offset) {
+        line = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    maybeAddMapping(layoutMap, {
+      generated: { line: outputLine, column },
+      source: 'generated.js',
+      original: { line: line + 1, column: offset - lineStarts[line] }
+    });
+  };
+
+  const context = { code, indentWidth, maxLineLength };
+  const output = [];
+  let linesWrapped = 0;
+
+  const emit = (piece) => {
+    if (!piece.text) {
+      output.push('');
+      return;
+    }
+
+    const indent = piece.level * indentWidth;
+    const end = piece.start + piece.text.length;
+    output.push(`${' '.repeat(indent)}${piece.text}`);
+    unitsBetween(piece.start, end)
+      .filter(unit => unit.start >= piece.start)
+      .forEach(unit => mapOffset(output.length, indent + unit.start - piece.start, unit.start));
+  };
+
+  // Lay out the text between two offsets of one line as one or more output lines
+  const layoutSegment = (start, end, generatorLevel) => {
+    const segmentUnits = unitsBetween(start, end);
+    const firstOffset = segmentUnits.length > 0 ? segmentUnits[0].start : start;
+    const level = generatorLevel + shifts.filter(([from, to]) => from <= firstOffset && firstOffset < to).length;
+
+    // Segments that share a unit with another line, such as a multi-line JSX element, are not wrapped
+    const wrappable = segmentUnits.length > 0 && segmentUnits[0].start >= start &&
+      segmentUnits[segmentUnits.length - 1].end <= end;
+
+    const raw = code.slice(start, end);
+    const text = raw.trim();
+    const wrapped = wrappable
+      ? wrapUnits(segmentUnits, level, context)
+      : [{ level, text, start: start + raw.length - raw.trimStart().length }];
+    if (wrapped.length > 1) {
+      linesWrapped++;
+    }
+
+    wrapped.forEach(emit);
+  };
+
+  lines.forEach((line, index) => {
+    const lineStart = lineStarts[index];
+    const lineEnd = lineStart + line.length;
+
+    // Continuation lines of template literals, strings and block comments stay as they are
+    if (verbatimTokens.some(token => token.start < lineStart && token.end > lineStart)) {
+      output.push(line);
+      mapOffset(output.length, 0, lineStart);
+    } else {
+      const level = Math.floor((line.length - line.trimStart().length) / GENERATOR_INDENT);
+      const cuts = [...breaks].filter(offset => offset > lineStart && offset < lineEnd).sort((a, b) => a - b);
+      const bounds = [lineStart, ...cuts, lineEnd];
+
+      bounds.slice(1).forEach((end, boundIndex) => layoutSegment(bounds[boundIndex], end, level));
+    }
+  });
+
+  return {
+    code: output.join('\n'),
+    map: composeSourceMaps([generatorMap, toEncodedMap(layoutMap)]),
+    linesWrapped
+  };
+}
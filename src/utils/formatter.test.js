@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import { parseCode } from './ast';
+import { layoutCode } from './formatter';
+
+const code = 'function f(a) { if (a) { return 1; } return 2; }';
+
+describe('layoutCode', () => {
+  it('indents by the given width', () => {
+    expect(layoutCode(parseCode(code), code, { indentWidth: 4 }).code).toContain('\n    if (a) {\n        return 1;');
+  });
+
+  it('uses the defaults for missing options', () => {
+    expect(layoutCode(parseCode(code), code).code).toContain('\n  if (a) {\n    return 1;');
+  });
+
+  it.each([-4, 0, 2.5, 'wide'])('rejects an indent width of %s', (indentWidth) => {
+    expect(() => layoutCode(parseCode(code), code, { indentWidth })).toThrow(/indent width/);
+  });
+
+  it.each([-1, 0, 1.5, 'long'])('rejects a maximum line length of %s', (maxLineLength) => {
+    expect(() => layoutCode(parseCode(code), code, { maxLineLength })).toThrow(/maximum line length/);
+  });
+});
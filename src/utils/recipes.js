@@ -0,0 +1,185 @@
+/**
+ * Recipes: named, ordered pipelines of transformers
+ *
+ * A recipe is `{ name, steps, builtin }` where every step is
+ * `{ transformerId, options }`. Each step runs on the output of the previous
+ * one and is scored and recorded like a single transformation.
+ */
+
+import { TRANSFORMERS, applyTransformation } from './transformers';
+import { calculateScore, getChallengeScore } from './scoring';
+
+/**
+ * Key under which user recipes are kept in localStorage
+ */
+const STORAGE_KEY = 'gamified-playground:recipes';
+
+/**
+ * Recipes that ship with the playground and cannot be deleted
+ */
+export const BUILTIN_RECIPES = [
+  {
+    name: 'Auto Deobfuscate',
+    builtin: true,
+    steps: [
+      { transformerId: 'inline-proxies', options: {} },
+      { transformerId: 'simplify-expressions', options: {} },
+      { transformerId: 'normalize-literals', options: {} },
+      { transformerId: 'remove-dead-code', options: {} },
+      { transformerId: 'flatten-control-flow', options: {} },
+      { transformerId: 'rename-variables', options: {} },
+      { transformerId: 'format', options: {} }
+    ]
+  },
+  {
+    name: 'Unpack and Decode',
+    builtin: true,
+    steps: [
+      { transformerId: 'unpack-eval', options: {} },
+      { transformerId: 'decode-string-array', options: {} },
+      { transformerId: 'decode-escapes', options: {} },
+      { transformerId: 'format', options: {} }
+    ]
+  }
+];
+
+/**
+ * Check that a recipe can be saved and run
+ *
+ * @param {Object} recipe - Recipe to check
+ * @throws {Error} When the recipe has no name, no steps, or an unknown transformer
+ */
+export function validateRecipe(recipe) {
+  if (!recipe || typeof recipe.name !== 'string' || !recipe.name.trim()) {
+    throw new Error('A recipe needs a name');
+  }
+  if (!Array.isArray(recipe.steps) || recipe.steps.length === 0) {
+    throw new Error(`Recipe "${recipe.name}" has no steps`);
+  }
+
+  recipe.steps.forEach((step, index) => {
+    if (!TRANSFORMERS.some(transformer => transformer.id === step.transformerId)) {
+      throw new Error(`Step ${index + 1} of recipe "${recipe.name}" uses unknown transformer '${step.transformerId}'`);
+    }
+  });
+}
+
+/**
+ * Load the user's saved recipes, preceded by the built-in ones
+ *
+ * @returns {Object[]} All recipes
+ */
+export function loadRecipes() {
+  let saved = [];
+
+  try {
+    saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+  } catch (error) {
+    console.error('Failed to load recipes:', error);
+  }
+
+  // Recipes saved by an older version may refer to transformers that no longer exist
+  const valid = saved.filter(recipe => {
+    try {
+      validateRecipe(recipe);
+      return true;
+    } catch {
+      return false;
+    }
+  });
+
+  return [...BUILTIN_RECIPES, ...valid.map(recipe => ({ ...recipe, builtin: false }))];
+}
+
+/**
+ * Save the user's recipes; built-in recipes are left out
+ *
+ * @param {Object[]} recipes - All recipes, as returned by loadRecipes
+ */
+export function saveRecipes(recipes) {
+  const userRecipes = recipes
+    .filter(recipe => !recipe.builtin)
+    .map(({ name, steps }) => ({ name, steps }));
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(userRecipes));
+  } catch (error) {
+    console.error('Failed to save recipes:', error);
+  }
+}
+
+/**
+ * Apply one transformer, then score the step and build its history entry
+ *
+ * @param {string} code - Input of the step
+ * @param {string} transformerId - ID of the transformer to apply
+ * @param {Object} options - Options for the transformer
+ * @param {Object[]} transformHistory - History before the step, used for scoring
+ * @param {boolean} isManualMode - Whether the step is scored in manual mode
+ * @returns {Object} History entry of the step
+ */
+export function runTransformStep(code, transformerId, options = {}, transformHistory = [], isManualMode = true) {
+  const result = applyTransformation(code, transformerId, options);
+
+  // Use the legacy scoring system as a fallback when the challenge score is zero
+  const challengeScore = getChallengeScore(code, result.code, transformHistory, isManualMode);
+  const score = challengeScore.score || calculateScore(code, result.code, transformerId);
+
+  return {
+    transformerId,
+    options,
+    originalCode: code,
+    transformedCode: result.code,
+    sourceMap: result.map,
+    stats: result.stats,
+    score,
+    breakdown: challengeScore.breakdown,
+    timestamp: new Date()
+  };
+}
+
+/**
+ * Run a recipe, scoring every step and building its history entry
+ *
+ * @param {string} code - Code to run the first step on
+ * @param {Object} recipe - Recipe to run
+ * @param {Object[]} transformHistory - History before the recipe, used for scoring
+ * @param {boolean} isManualMode - Whether the steps are scored in manual mode
+ * @param {Function} onStep - Called with `(index, step)` before each step runs
+ * @returns {Object} `{ code, entries, score }`: the output of the last step, one
+ *   history entry per step, and the sum of the step scores
+ * @throws {Error} When the recipe is invalid or a step fails; no entries are returned then.
+ *   A failed step's error carries its 1-based `step` and its `transformerId`.
+ */
+export function runRecipe(code, recipe, transformHistory = [], isManualMode = true, onStep = null) {
+  validateRecipe(recipe);
+
+  const entries = [];
+  let current = code;
+
+  recipe.steps.forEach((step, index) => {
+    const { transformerId, options = {} } = step;
+    if (onStep) {
+      onStep(index, step);
+    }
+
+    let entry;
+    try {
+      entry = runTransformStep(current, transformerId, options, [...transformHistory, ...entries], isManualMode);
+    } catch (error) {
+      throw Object.assign(
+        new Error(`Step ${index + 1} (${transformerId}) of recipe "${recipe.name}" failed: ${error.message}`),
+        { step: index + 1, transformerId }
+      );
+    }
+
+    entries.push({ ...entry, recipe: recipe.name });
+    current = entry.transformedCode;
+  });
+
+  return {
+    code: current,
+    entries,
+    score: entries.reduce((total, entry) => total + entry.score, 0)
+  };
+}
@@ -13,6 +13,14 @@ export const TRANSFORMATION_POINTS = {
   'rename-variables': 25,
   'flatten-control-flow': 35,
   'remove-dead-code': 30,
+  'decode-string-array': 45,
+  'simplify-expressions': 25,
+  'decode-escapes': 15,
+  'inline-proxies': 35,
+  'unpack-eval': 40,
+  'modernize': 30,
+  'expand-statements': 25,
+  'normalize-literals': 15,
   // Add more transformers and their base points here
 };
 
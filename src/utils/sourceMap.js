@@ -0,0 +1,44 @@
+/**
+ * Helpers for the V3 source maps the transformers return
+ */
+
+import remapping from '@jridgewell/remapping';
+import { TraceMap, originalPositionFor, LEAST_UPPER_BOUND } from '@jridgewell/trace-mapping';
+
+/**
+ * Compose the source maps of transformations applied one after another
+ *
+ * @param {Object[]} maps - Source maps in the order the transformations ran; each
+ *   map describes the output of its step in terms of the previous step's output
+ * @returns {Object|null} Source map from the final output back to the first input,
+ *   or null when a step has no map
+ */
+export function composeSourceMaps(maps) {
+  if (maps.length === 0 || maps.some(map => !map)) {
+    return null;
+  }
+  if (maps.length === 1) {
+    return maps[0];
+  }
+
+  // remapping expects the last transformation first
+  return { ...remapping([...maps].reverse(), () => null) };
+}
+
+/**
+ * Find the lines of the original code that produced each line of transformed code
+ *
+ * @param {Object} map - Source map of the transformation
+ * @param {number} lineCount - Number of lines in the transformed code
+ * @returns {Array<number|null>} 1-based original line for every transformed line, with
+ *   null for lines without a mapping
+ */
+export function originalLines(map, lineCount) {
+  if (!map) {
+    return [];
+  }
+
+  const tracer = new TraceMap(map);
+  return Array.from({ length: lineCount }, (_, index) =>
+    originalPositionFor(tracer, { line: index + 1, column: 0, bias: LEAST_UPPER_BOUND }).line);
+}
@@ -0,0 +1,580 @@
+/**
+ * Decoder for the string-array pattern emitted by javascript-obfuscator
+ *
+ * The pattern consists of three parts:
+ * - a string array, either `var _0xabc = [...]` or a function returning the array
+ * - a rotation IIFE that shifts the array a fixed number of times, or until a
+ *   parseInt checksum matches
+ * - a decoder function that subtracts an offset from its index argument and
+ *   optionally base64 or RC4 decodes the entry
+ *
+ * Nothing from the input is executed: rotation and decoding are re-implemented here.
+ */
+
+import { traverseAst, t } from './ast';
+
+/**
+ * Evaluate a side-effect-free constant expression
+ *
+ * @param {Object} node - Expression node
+ * @param {Object} env - Values of identifiers in scope
+ * @param {Function} callHandler - Called as (callee, args) for calls other than parseInt/parseFloat
+ * @returns {*} The value of the expression
+ * @throws {Error} When the expression cannot be evaluated statically
+ */
+function evaluateConstant(node, env = {}, callHandler = null) {
+  const evaluate = (child) => evaluateConstant(child, env, callHandler);
+
+  if (t.isNumericLiteral(node) || t.isStringLiteral(node) || t.isBooleanLiteral(node)) {
+    return node.value;
+  }
+  if (t.isNullLiteral(node)) {
+    return null;
+  }
+  if (t.isIdentifier(node)) {
+    if (Object.prototype.hasOwnProperty.call(env, node.name)) {
+      return env[node.name];
+    }
+    if (node.name === 'undefined') {
+      return undefined;
+    }
+  }
+  if (t.isArrayExpression(node) && node.elements.length === 0) {
+    return [];
+  }
+  if (t.isUnaryExpression(node)) {
+    const argument = evaluate(node.argument);
+    switch (node.operator) {
+      case '-': return -argument;
+      case '+': return +argument;
+      case '!': return !argument;
+      case '~': return ~argument;
+      case 'void': return undefined;
+      case 'typeof': return typeof argument;
+    }
+  }
+  if (t.isBinaryExpression(node)) {
+    const left = evaluate(node.left);
+    const right = evaluate(node.right);
+    switch (node.operator) {
+      case '+': return left + right;
+      case '-': return left - right;
+      case '*': return left * right;
+      case '/': return left / right;
+      case '%': return left % right;
+      case '**': return left ** right;
+      case '&': return left & right;
+      case '|': return left | right;
+      case '^': return left ^ right;
+      case '<<': return left << right;
+      case '>>': return left >> right;
+      case '>>>': return left >>> right;
+      case '===': return left === right;
+      case '!==': return left !== right;
+      case '<': return left < right;
+      case '>': return left > right;
+      case '<=': return left <= right;
+      case '>=': return left >= right;
+    }
+  }
+  if (t.isCallExpression(node)) {
+    const args = node.arguments.map(evaluate);
+
+    if (t.isIdentifier(node.callee, { name: 'parseInt' })) {
+      return parseInt(args[0], args[1]);
+    }
+    if (t.isIdentifier(node.callee, { name: 'parseFloat' })) {
+      return parseFloat(args[0]);
+    }
+    if (callHandler) {
+      return callHandler(node.callee, args);
+    }
+  }
+
+  throw new Error(`Cannot evaluate ${node.type} statically`);
+}
+
+/**
+ * Decode base64 with a custom alphabet, followed by percent-decoding to UTF-8
+ *
+ * @param {string} input - Encoded string
+ * @param {string} alphabet - 65-character alphabet, padding last
+ * @returns {string} Decoded string
+ */
+function decodeBase64(input, alphabet) {
+  let bytes = '';
+  let buffer = 0;
+  let bits = 0;
+
+  for (const char of input) {
+    const index = alphabet.indexOf(char);
+    if (index === -1 || index === 64) {
+      continue;
+    }
+
+    buffer = (buffer << 6) | index;
+    bits += 6;
+
+    if (bits >= 8) {
+      bits -= 8;
+      bytes += String.fromCharCode((buffer >> bits) & 0xff);
+    }
+  }
+
+  const percentEncoded = [...bytes].map(char => '%' + char.charCodeAt(0).toString(16).padStart(2, '0')).join('');
+
+  try {
+    return decodeURIComponent(percentEncoded);
+  } catch {
+    return bytes;
+  }
+}
+
+/**
+ * RC4-decrypt a string
+ *
+ * @param {string} input - Encrypted characters
+ * @param {string} key - Decryption key
+ * @returns {string} Decrypted string
+ */
+function decryptRc4(input, key) {
+  const state = Array.from({ length: 256 }, (_, index) => index);
+  let j = 0;
+
+  for (let i = 0; i < 256; i++) {
+    j = (j + state[i] + key.charCodeAt(i % key.length)) % 256;
+    [state[i], state[j]] = [state[j], state[i]];
+  }
+
+  let output = '';
+  let i = 0;
+  j = 0;
+
+  for (let index = 0; index < input.length; index++) {
+    i = (i + 1) % 256;
+    j = (j + state[i]) % 256;
+    [state[i], state[j]] = [state[j], state[i]];
+    output += String.fromCharCode(input.charCodeAt(index) ^ state[(state[i] + state[j]) % 256]);
+  }
+
+  return output;
+}
+
+/**
+ * Find string arrays, declared directly or returned by a self-replacing function
+ *
+ * @param {Object} programPath - Program path
+ * @returns {Array<Object>} Arrays as `{ name, strings, path }`
+ */
+function findStringArrays(programPath) {
+  const arrays = [];
+
+  const isStringArray = (node) =>
+    t.isArrayExpression(node) && node.elements.length > 0 &&
+    node.elements.every(element => t.isStringLiteral(element));
+
+  programPath.get('body').forEach(statement => {
+    if (statement.isVariableDeclaration()) {
+      statement.get('declarations').forEach(declarator => {
+        if (t.isIdentifier(declarator.node.id) && isStringArray(declarator.node.init)) {
+          arrays.push({
+            name: declarator.node.id.name,
+            strings: declarator.node.init.elements.map(element => element.value),
+            path: declarator
+          });
+        }
+      });
+    }
+
+    // function _0x1234() { var a = [...]; _0x1234 = function () { return a; }; return _0x1234(); }
+    if (statement.isFunctionDeclaration() && statement.node.params.length === 0) {
+      const declaration = statement.node.body.body.find(node =>
+        t.isVariableDeclaration(node) && node.declarations.length === 1 &&
+        isStringArray(node.declarations[0].init));
+
+      if (declaration) {
+        arrays.push({
+          name: statement.node.id.name,
+          strings: declaration.declarations[0].init.elements.map(element => element.value),
+          path: statement
+        });
+      }
+    }
+  });
+
+  return arrays;
+}
+
+/**
+ * Find the decoder function that reads from a string array
+ *
+ * @param {Object} programPath - Program path
+ * @param {Object} array - String array description
+ * @returns {Object|null} Decoder as `{ name, offset, alphabet, rc4, path }`
+ */
+function findDecoder(programPath, array) {
+  let decoder = null;
+
+  const candidates = [];
+  programPath.get('body').forEach(statement => {
+    if (statement.isFunctionDeclaration() && statement !== array.path) {
+      candidates.push({ name: statement.node.id.name, fnPath: statement, path: statement });
+    }
+    if (statement.isVariableDeclaration()) {
+      statement.get('declarations').forEach(declarator => {
+        if (t.isIdentifier(declarator.node.id) && declarator.get('init').isFunction()) {
+          candidates.push({ name: declarator.node.id.name, fnPath: declarator.get('init'), path: declarator });
+        }
+      });
+    }
+  });
+
+  candidates.forEach(({ name, fnPath, path }) => {
+    if (decoder || fnPath.node.params.length === 0) {
+      return;
+    }
+
+    let readsArray = false;
+    let offset = null;
+    let alphabet = null;
+    let hasByteMask = false;
+
+    fnPath.traverse({
+      Identifier(idPath) {
+        if (idPath.node.name === array.name && idPath.isReferencedIdentifier()) {
+          readsArray = true;
+        }
+      },
+
+      // index = index - 0x1e0, or index -= 0x1e0
+      AssignmentExpression(assignPath) {
+        const { left, right, operator } = assignPath.node;
+        if (offset !== null || !t.isIdentifier(left)) {
+          return;
+        }
+
+        try {
+          if (operator === '-=') {
+            offset = evaluateConstant(right);
+          } else if (operator === '=' && t.isBinaryExpression(right, { operator: '-' }) &&
+              t.isIdentifier(right.left, { name: left.name })) {
+            offset = evaluateConstant(right.right);
+          }
+        } catch {
+          offset = null;
+        }
+      },
+
+      StringLiteral(stringPath) {
+        const { value } = stringPath.node;
+        if (value.length === 65 && new Set(value).size === 65) {
+          alphabet = value;
+        }
+      },
+
+      NumericLiteral(numberPath) {
+        if (numberPath.node.value === 256) {
+          hasByteMask = true;
+        }
+      }
+    });
+
+    if (readsArray && typeof offset === 'number') {
+      decoder = {
+        name,
+        offset,
+        alphabet,
+        rc4: Boolean(alphabet) && hasByteMask && fnPath.node.params.length > 1,
+        path
+      };
+    }
+  });
+
+  return decoder;
+}
+
+/**
+ * Find the statement that rotates a string array
+ *
+ * @param {Object} programPath - Program path
+ * @param {Object} array - String array description
+ * @returns {Object|null} Rotation as `{ path, amount, checksum, target }`
+ */
+function findRotation(programPath, array) {
+  let rotation = null;
+
+  programPath.get('body').forEach(statement => {
+    if (rotation || !statement.isExpressionStatement()) {
+      return;
+    }
+
+    let call = statement.get('expression');
+    if (call.isUnaryExpression()) {
+      call = call.get('argument');
+    }
+
+    if (!call.isCallExpression() || !call.get('callee').isFunction()) {
+      return;
+    }
+
+    const [arrayArg, amountArg] = call.node.arguments;
+    if (!t.isIdentifier(arrayArg, { name: array.name }) || !amountArg) {
+      return;
+    }
+
+    let amount;
+    try {
+      amount = evaluateConstant(amountArg);
+    } catch {
+      return;
+    }
+
+    // Newer versions rotate until a sum of parseInt(decoded) values matches the target
+    let checksum = null;
+    const callsParseInt = (node) => {
+      let found = false;
+      t.traverseFast(node, inner => {
+        if (t.isCallExpression(inner) && t.isIdentifier(inner.callee, { name: 'parseInt' })) {
+          found = true;
+        }
+      });
+      return found;
+    };
+
+    call.get('callee').traverse({
+      VariableDeclarator(path) {
+        if (!checksum && path.node.init && callsParseInt(path.node.init)) {
+          checksum = path.node.init;
+        }
+      },
+      AssignmentExpression(path) {
+        if (!checksum && callsParseInt(path.node.right)) {
+          checksum = path.node.right;
+        }
+      }
+    });
+
+    rotation = checksum
+      ? { path: statement, checksum, target: amount }
+      : { path: statement, amount };
+  });
+
+  return rotation;
+}
+
+/**
+ * Find variables and wrapper functions that forward to the decoder
+ *
+ * @param {Object} programPath - Program path
+ * @param {Object} decoderBinding - Babel binding of the decoder
+ * @returns {Map} Binding → wrapper description (`null` for plain aliases)
+ */
+function findDecoderAliases(programPath, decoderBinding) {
+  const aliases = new Map([[decoderBinding, null]]);
+  let changed = true;
+
+  const resolvesToDecoder = (path, name) => {
+    const binding = path.scope.getBinding(name);
+    return binding && aliases.has(binding) ? binding : null;
+  };
+
+  while (changed) {
+    changed = false;
+
+    programPath.traverse({
+      // var _0x3b = _0xdec;
+      VariableDeclarator(path) {
+        const { id, init } = path.node;
+        if (!t.isIdentifier(id) || !t.isIdentifier(init) || !resolvesToDecoder(path, init.name)) {
+          return;
+        }
+
+        const binding = path.scope.getBinding(id.name);
+        if (binding && binding.constant && !aliases.has(binding)) {
+          aliases.set(binding, null);
+          changed = true;
+        }
+      },
+
+      // function _0x1f(a, b) { return _0xdec(b - 0x12, a); }
+      Function(path) {
+        const { body, params } = path.node;
+        const statement = t.isBlockStatement(body) && body.body.length === 1 ? body.body[0] : null;
+        const call = t.isReturnStatement(statement) ? statement.argument : null;
+
+        if (!t.isCallExpression(call) || !t.isIdentifier(call.callee) ||
+            !params.every(param => t.isIdentifier(param))) {
+          return;
+        }
+
+        const target = resolvesToDecoder(path.get('body'), call.callee.name);
+        const nameNode = path.node.id || (path.parentPath.isVariableDeclarator() ? path.parentPath.node.id : null);
+        const binding = target && t.isIdentifier(nameNode) && path.parentPath.scope.getBinding(nameNode.name);
+
+        if (binding && binding.constant && !aliases.has(binding)) {
+          aliases.set(binding, {
+            target,
+            params: params.map(param => param.name),
+            args: call.arguments
+          });
+          changed = true;
+        }
+      }
+    });
+  }
+
+  return aliases;
+}
+
+/**
+ * Decode javascript-obfuscator string arrays and inline the strings at their call sites
+ *
+ * @param {Object} ast - AST to transform
+ * @returns {Object} Decoding statistics
+ */
+export function decodeStringArrays(ast) {
+  const stats = {
+    stringArrays: 0,
+    encoding: 'none',
+    rotations: 0,
+    callSitesResolved: 0,
+    callSitesUnresolved: 0,
+    arraysRemoved: 0
+  };
+
+  traverseAst(ast, {
+    Program(programPath) {
+      findStringArrays(programPath).forEach(array => {
+        const decoder = findDecoder(programPath, array);
+        if (!decoder) {
+          return;
+        }
+
+        const strings = [...array.strings];
+        const decodeCache = new Map();
+
+        const decode = (index, key) => {
+          const position = index - decoder.offset;
+          if (!Number.isInteger(position) || position < 0 || position >= strings.length) {
+            throw new Error(`String array index ${index} is out of range`);
+          }
+
+          const value = strings[position];
+          const cacheKey = `${value}\u0000${key}`;
+          if (!decodeCache.has(cacheKey)) {
+            let decoded = value;
+            if (decoder.alphabet) {
+              decoded = decodeBase64(value, decoder.alphabet);
+            }
+            if (decoder.rc4) {
+              decoded = decryptRc4(decoded, String(key));
+            }
+            decodeCache.set(cacheKey, decoded);
+          }
+
+          return decodeCache.get(cacheKey);
+        };
+
+        programPath.scope.crawl();
+        const arrayBinding = programPath.scope.getBinding(array.name);
+        const decoderBinding = programPath.scope.getBinding(decoder.name);
+        const aliases = findDecoderAliases(programPath, decoderBinding);
+
+        // Evaluate a call through the decoder or one of its aliases
+        const resolveCall = (binding, args) => {
+          const wrapper = aliases.get(binding);
+          if (!wrapper) {
+            return decode(...args);
+          }
+
+          const env = Object.fromEntries(wrapper.params.map((param, index) => [param, args[index]]));
+          const forwarded = wrapper.args.map(arg => evaluateConstant(arg, env));
+          return resolveCall(wrapper.target, forwarded);
+        };
+
+        // Calls inside the checksum are matched by name, as they may go through local aliases
+        const resolveCallByName = (callee, args) => {
+          const binding = [...aliases.keys()].find(alias => t.isIdentifier(callee, { name: alias.identifier.name }));
+          return resolveCall(binding || decoderBinding, args);
+        };
+
+        // Reproduce the rotation on our copy of the array
+        const rotate = () => strings.push(strings.shift());
+        const rotation = findRotation(programPath, array);
+        let rotations = 0;
+
+        if (rotation && rotation.checksum) {
+          const matches = () => {
+            try {
+              return evaluateConstant(rotation.checksum, {}, resolveCallByName) === rotation.target;
+            } catch {
+              return false;
+            }
+          };
+
+          while (!matches()) {
+            // Every arrangement has been tried without matching the checksum
+            if (rotations >= strings.length) {
+              return;
+            }
+            rotate();
+            rotations++;
+          }
+        } else if (rotation) {
+          for (; rotations < rotation.amount % strings.length; rotations++) {
+            rotate();
+          }
+        }
+
+        stats.stringArrays++;
+        stats.encoding = decoder.rc4 ? 'rc4' : decoder.alphabet ? 'base64' : 'none';
+        stats.rotations += rotations;
+
+        const aliasPaths = [...aliases.keys()].map(binding => binding.path);
+        const machinery = [array.path, decoder.path, rotation && rotation.path, ...aliasPaths].filter(Boolean);
+        const isMachinery = (path) => machinery.some(part => path === part || path.isDescendant(part));
+
+        let stillUsed = false;
+
+        programPath.traverse({
+          CallExpression(path) {
+            const { callee } = path.node;
+            const binding = t.isIdentifier(callee) ? path.scope.getBinding(callee.name) : null;
+
+            if (!binding || !aliases.has(binding) || isMachinery(path)) {
+              return;
+            }
+
+            try {
+              const args = path.node.arguments.map(arg => evaluateConstant(arg));
+              path.replaceWith(t.stringLiteral(resolveCall(binding, args)));
+              stats.callSitesResolved++;
+            } catch {
+              stats.callSitesUnresolved++;
+            }
+          },
+
+          // Any remaining reference outside the machinery keeps the array and decoder alive
+          Identifier(path) {
+            const binding = path.isReferencedIdentifier() ? path.scope.getBinding(path.node.name) : null;
+            if (binding && (aliases.has(binding) || binding === arrayBinding) && !isMachinery(path)) {
+              stillUsed = true;
+            }
+          }
+        });
+
+        // Remove the machinery once nothing outside it uses the decoder any more
+        if (!stillUsed) {
+          machinery.forEach(path => {
+            if (!path.removed) {
+              path.remove();
+            }
+          });
+          stats.arraysRemoved++;
+        }
+      });
+    }
+  });
+
+  return stats;
+}
@@ -0,0 +1,267 @@
+/**
+ * Runs transformation jobs in a Web Worker so large inputs and slow
+ * transformers cannot freeze the page
+ *
+ * One job runs at a time; starting another cancels it. A job that runs past
+ * the time limit is stopped by terminating the worker, which is the only way
+ * to interrupt synchronous code; a new worker is started for the next job.
+ * Jobs that use transformers registered on the main thread, which the
+ * worker does not have, run on the main thread instead.
+ *
+ * Components follow the engine through subscribeTransformEngine and
+ * getTransformEngineStatus, for example with React's useSyncExternalStore.
+ */
+
+/**
+ * Default time limit for a job, in milliseconds
+ */
+const DEFAULT_TIME_LIMIT = 30000;
+
+/**
+ * Callbacks to run when the status changes
+ */
+const statusListeners = new Set();
+
+/**
+ * Current status; replaced, never mutated, so it can serve as a snapshot
+ */
+let status = {
+  running: false,
+  label: null,
+  progress: 0,
+  timeLimit: DEFAULT_TIME_LIMIT,
+  error: null
+};
+
+/**
+ * The worker, started on first use
+ */
+let worker = null;
+
+/**
+ * The running job: `{ id, resolve, reject, timer }`
+ */
+let activeJob = null;
+
+/**
+ * ID of the last job sent to the worker
+ */
+let lastJobId = 0;
+
+/**
+ * Update the status and notify the subscribers
+ *
+ * @param {Object} changes - Status fields to change
+ */
+function updateStatus(changes) {
+  status = { ...status, ...changes };
+  statusListeners.forEach(listener => listener());
+}
+
+/**
+ * Create an error with the fields the UI reports
+ *
+ * @param {Object} details - `{ code, message, transformerId, step, ... }`
+ * @returns {Error} Error carrying the details as properties
+ */
+function engineError(details) {
+  return Object.assign(new Error(details.message), { transformerId: null, step: null, ...details });
+}
+
+/**
+ * Stop the worker; it is started again for the next job
+ */
+function stopWorker() {
+  if (worker) {
+    worker.terminate();
+    worker = null;
+  }
+}
+
+/**
+ * End the running job, failing it with the given error
+ *
+ * @param {Error} error - Error the job's promise rejects with
+ */
+function failActiveJob(error) {
+  const { reject, timer } = activeJob;
+  clearTimeout(timer);
+  activeJob = null;
+
+  // Cancelled jobs need no message, and jobs the worker lacks a transformer for are run again
+  const reported = error.code !== 'cancelled' && error.code !== 'unavailable';
+  updateStatus({ running: false, label: null, progress: 0, error: reported ? error : null });
+  reject(error);
+}
+
+/**
+ * Run a job on the main thread, for jobs the worker cannot run
+ *
+ * The time limit and cancelling do not apply here. The transformers are loaded
+ * on first use, so the main bundle does not carry what the worker already has.
+ *
+ * @param {Object} job - Job description, see runJob
+ * @returns {Promise<Object>} Job result
+ */
+async function runOnMainThread(job) {
+  updateStatus({ running: true, label: 'Running on the main thread', progress: 0, error: null });
+
+  try {
+    const [{ runJob }, { loadDownleveler }] = await Promise.all([import('./transformJobs'), import('./downlevel')]);
+    await loadDownleveler();
+    const result = runJob(job);
+    updateStatus({ running: false, label: null, progress: 0 });
+    return result;
+  } catch (error) {
+    const failure = engineError({
+      code: error.code || 'failed',
+      name: error.name,
+      message: error.message,
+      transformerId: error.transformerId || job.transformerId || null,
+      step: error.step || null
+    });
+    updateStatus({ running: false, label: null, progress: 0, error: failure });
+    throw failure;
+  }
+}
+
+/**
+ * Get the worker, starting it when needed
+ *
+ * @returns {Worker} The transformation worker
+ */
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(new URL('./transformWorker.js', import.meta.url), { type: 'module' });
+
+    worker.onmessage = (event) => {
+      const { id, type, progress, result, error } = event.data;
+      if (!activeJob || activeJob.id !== id) {
+        return;
+      }
+
+      if (type === 'progress') {
+        updateStatus({ label: progress.label, progress: progress.progress });
+      } else if (type === 'result') {
+        const { resolve, timer } = activeJob;
+        clearTimeout(timer);
+        activeJob = null;
+        updateStatus({ running: false, label: null, progress: 0 });
+        resolve(result);
+      } else {
+        failActiveJob(engineError(error));
+      }
+    };
+
+    // Errors outside a job, such as the worker failing to load
+    worker.onerror = (event) => {
+      event.preventDefault();
+      stopWorker();
+      if (activeJob) {
+        failActiveJob(engineError({ code: 'worker-failed', message: event.message || 'The transformation worker failed' }));
+      }
+    };
+  }
+
+  return worker;
+}
+
+/**
+ * Run a transformation job, in the worker when possible
+ *
+ * @param {Object} job - Job description, see runJob in transformJobs
+ * @returns {Promise<Object>} Job result, see runJob
+ * @throws {Error} Rejects with an error whose `code` is 'cancelled', 'timeout',
+ *   'worker-failed' or 'failed', plus the `transformerId` and recipe `step` when known
+ */
+export async function runTransformJob(job) {
+  cancelTransformJob();
+
+  if (typeof Worker === 'undefined') {
+    return runOnMainThread(job);
+  }
+
+  const id = ++lastJobId;
+  const { timeLimit } = status;
+  updateStatus({ running: true, label: 'Starting', progress: 0, error: null });
+
+  const result = await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      stopWorker();
+      failActiveJob(engineError({
+        code: 'timeout',
+        message: `Stopped after the time limit of ${timeLimit / 1000} s`,
+        transformerId: job.transformerId || null
+      }));
+    }, timeLimit);
+
+    activeJob = { id, resolve, reject, timer };
+    getWorker().postMessage({ id, job });
+  }).catch(error => {
+    // Transformers registered by plugins on this thread are missing in the worker
+    if (error.code === 'unavailable') {
+      return runOnMainThread(job);
+    }
+    throw error;
+  });
+
+  return result;
+}
+
+/**
+ * Cancel the running job; its promise rejects with code 'cancelled'
+ *
+ * @returns {boolean} True when a job was running
+ */
+export function cancelTransformJob() {
+  if (!activeJob) {
+    return false;
+  }
+
+  stopWorker();
+  failActiveJob(engineError({ code: 'cancelled', message: 'The transformation was cancelled' }));
+  return true;
+}
+
+/**
+ * Set the time limit for the jobs started from now on
+ *
+ * @param {number} milliseconds - Time limit, at least one second
+ * @throws {Error} When the limit is not a number of at least 1000
+ */
+export function setTransformTimeLimit(milliseconds) {
+  const timeLimit = Number(milliseconds);
+  if (!Number.isFinite(timeLimit) || timeLimit < 1000) {
+    throw new Error('The time limit must be at least 1000 ms');
+  }
+
+  updateStatus({ timeLimit });
+}
+
+/**
+ * Forget the error of the last job
+ */
+export function dismissTransformError() {
+  updateStatus({ error: null });
+}
+
+/**
+ * Get the engine status
+ *
+ * @returns {Object} `{ running, label, progress, timeLimit, error }`; the same object
+ *   is returned until the status changes
+ */
+export function getTransformEngineStatus() {
+  return status;
+}
+
+/**
+ * Subscribe to status changes
+ *
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Function that removes the subscription
+ */
+export function subscribeTransformEngine(listener) {
+  statusListeners.add(listener);
+  return () => statusListeners.delete(listener);
+}
@@ -0,0 +1,17 @@
+import { describe, it, expect } from 'vitest';
+import { runTransformJob, getTransformEngineStatus } from './transformEngine';
+
+describe('runTransformJob', () => {
+  it('loads the transformers on the main thread when there is no worker', async () => {
+    const result = await runTransformJob({
+      type: 'transform',
+      transformerId: 'modernize',
+      options: {},
+      code: 'var f = function (x) { return x + 1; };\nconsole.log(f(1));'
+    });
+
+    expect(result.code).toContain('const f = x => x + 1');
+    expect(result.equivalence.status).toBe('equivalent');
+    expect(getTransformEngineStatus().running).toBe(false);
+  });
+});
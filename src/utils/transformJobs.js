@@ -0,0 +1,102 @@
+/**
+ * Transformation jobs: everything one click in the UI computes
+ *
+ * A job applies a transformer or a recipe to the working copy, scores every
+ * step and, unless told otherwise, checks that the result still behaves like
+ * its input. Jobs usually run in the transformation worker; see transformEngine.
+ */
+
+import { TRANSFORMERS } from './transformers';
+import { runTransformStep, runRecipe } from './recipes';
+import { calculateReadabilityScore } from './scoring';
+import { checkEquivalence } from './equivalence';
+import { unpackBundle } from './bundleUnpacker';
+
+/**
+ * Create an error that says the job needs a transformer this registry lacks
+ *
+ * Transformers registered by plugins only exist in the thread that registered
+ * them, so the engine runs such jobs on the main thread instead.
+ *
+ * @param {Object} job - Job description
+ * @returns {Error|null} The error, or null when every transformer is registered
+ */
+function missingTransformerError(job) {
+  if (job.type === 'unpack-bundle') {
+    return null;
+  }
+
+  const ids = job.type === 'recipe' ? job.recipe.steps.map(step => step.transformerId) : [job.transformerId];
+  const missing = ids.find(id => !TRANSFORMERS.some(transformer => transformer.id === id));
+
+  return missing === undefined
+    ? null
+    : Object.assign(new Error(`Transformer '${missing}' is not available here`), { code: 'unavailable', transformerId: missing });
+}
+
+/**
+ * Look up the display name of a transformer
+ *
+ * @param {string} id - Transformer ID
+ * @returns {string} Its name, or the ID when it is not registered
+ */
+function transformerName(id) {
+  return (TRANSFORMERS.find(transformer => transformer.id === id) || { name: id }).name;
+}
+
+/**
+ * Run a transformation job
+ *
+ * @param {Object} job - `{ type: 'transform', transformerId, options }` or `{ type: 'recipe', recipe }`,
+ *   both with `code`, `history`, `isManualMode` and `verify` (defaults to true); or
+ *   `{ type: 'unpack-bundle', code }` to split a bundle into its modules
+ * @param {Function} onProgress - Called with `{ label, progress }`, progress running from 0 to 1
+ * @returns {Object} `{ code, entries, score, readabilityScore, equivalence }`; equivalence is
+ *   null when the job was not verified. Bundle jobs return `{ bundle }`, see unpackBundle.
+ * @throws {Error} When a transformer is missing or fails, or the code is not a bundle
+ */
+export function runJob(job, onProgress = () => {}) {
+  const { code, history = [], isManualMode = true, verify = true } = job;
+
+  if (job.type === 'unpack-bundle') {
+    onProgress({ label: 'Unpacking bundle', progress: 0 });
+    const bundle = unpackBundle(code);
+    if (!bundle) {
+      throw new Error('No webpack or browserify module table found');
+    }
+    return { bundle };
+  }
+
+  const missing = missingTransformerError(job);
+  if (missing) {
+    throw missing;
+  }
+
+  // Verification counts as one more step
+  const stepCount = job.type === 'recipe' ? job.recipe.steps.length : 1;
+  const total = stepCount + (verify ? 1 : 0);
+
+  let result;
+  if (job.type === 'recipe') {
+    result = runRecipe(code, job.recipe, history, isManualMode, (index, step) => onProgress({
+      label: `Step ${index + 1} of ${stepCount}: ${transformerName(step.transformerId)}`,
+      progress: index / total
+    }));
+  } else {
+    onProgress({ label: `Applying ${transformerName(job.transformerId)}`, progress: 0 });
+    const entry = runTransformStep(code, job.transformerId, job.options, history, isManualMode);
+    result = { code: entry.transformedCode, entries: [entry], score: entry.score };
+  }
+
+  let equivalence = null;
+  if (verify) {
+    onProgress({ label: 'Checking behavior', progress: stepCount / total });
+    equivalence = checkEquivalence(code, result.code);
+  }
+
+  return {
+    ...result,
+    readabilityScore: calculateReadabilityScore(result.code),
+    equivalence
+  };
+}
@@ -0,0 +1,40 @@
+/**
+ * Web Worker entry that runs transformation jobs off the UI thread
+ *
+ * Messages in: `{ id, job }`. Messages out, tagged with the same id:
+ * `{ type: 'progress', progress }`, then `{ type: 'result', result }` or
+ * `{ type: 'error', error }`.
+ */
+
+import { runJob } from './transformJobs';
+import { loadDownleveler } from './downlevel';
+
+/**
+ * Turn a thrown value into a plain object that survives postMessage
+ *
+ * @param {*} error - Thrown value
+ * @param {Object} job - Job that failed
+ * @returns {Object} `{ code, name, message, transformerId, step, stack }`
+ */
+function serializeError(error, job) {
+  return {
+    code: error?.code || 'failed',
+    name: error?.name || 'Error',
+    message: error?.message || String(error),
+    transformerId: error?.transformerId || job.transformerId || null,
+    step: error?.step || null,
+    stack: error?.stack || null
+  };
+}
+
+self.onmessage = async (event) => {
+  const { id, job } = event.data;
+
+  try {
+    await loadDownleveler();
+    const result = runJob(job, progress => self.postMessage({ id, type: 'progress', progress }));
+    self.postMessage({ id, type: 'result', result });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', error: serializeError(error, job) });
+  }
+};
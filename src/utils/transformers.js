@@ -2,39 +2,100 @@
  * Collection of code transformation functions and utilities
  */
 
+import { parseCode, printWithSourceMap, traverseAst, t } from './ast';
+import { decodeStringArrays } from './stringArray';
+import { unpackPayloads } from './unpacker';
+import { downlevel, DOWNLEVEL_TARGETS } from './downlevel';
+import { layoutCode } from './formatter';
+import { TRANSFORMATION_POINTS } from './scoring';
+
+/**
+ * JSX runtimes convertJSXToJS can compile for
+ */
+const JSX_RUNTIMES = ['classic', 'automatic'];
+
 /**
- * Available transformers with their configurations
+ * Transformers that ship with the playground
+ *
+ * Every `transform(code, options, ast)` receives the parsed AST of the code and
+ * returns `{ code, map, stats }`.
  */
-export const TRANSFORMERS = [
+const BUILTIN_TRANSFORMERS = [
   {
     id: 'format',
     name: 'Format Code',
-    description: 'Formats code with proper indentation and spacing',
-    options: {}
+    description: 'Splits code into one statement per line, indents it and wraps long lines',
+    options: {
+      indentWidth: {
+        type: 'number',
+        default: 2,
+        label: 'Indent width'
+      },
+      maxLineLength: {
+        type: 'number',
+        default: 80,
+        label: 'Maximum line length'
+      }
+    },
+    transform: formatCode
   },
   {
     id: 'minify',
     name: 'Minify Code',
-    description: 'Removes whitespace and shortens code',
+    description: 'Removes whitespace and unused code, shortens local names and emits a source map',
     options: {
       removeComments: {
         type: 'boolean',
         default: true,
         label: 'Remove comments'
+      },
+      mangle: {
+        type: 'boolean',
+        default: true,
+        label: 'Shorten local names'
+      },
+      removeUnused: {
+        type: 'boolean',
+        default: true,
+        label: 'Remove unused code'
       }
-    }
+    },
+    transform: minifyCode
   },
   {
     id: 'es6-to-es5',
     name: 'ES6 to ES5',
-    description: 'Converts modern JavaScript to ES5 compatible code',
-    options: {}
+    description: 'Converts modern JavaScript to ES5 or another older ECMAScript edition',
+    options: {
+      target: {
+        type: 'select',
+        default: 'ES5',
+        choices: DOWNLEVEL_TARGETS,
+        label: 'Target edition'
+      }
+    },
+    transform: convertES6ToES5
+  },
+  {
+    id: 'modernize',
+    name: 'Modernize',
+    description: 'Upgrades ES5 code to const/let, arrow functions, template literals and object spread where safe',
+    options: {},
+    transform: (code, options, ast) => modernizeCode(code, ast)
   },
   {
     id: 'jsx-to-js',
     name: 'JSX to JavaScript',
     description: 'Converts JSX syntax to plain JavaScript',
-    options: {}
+    options: {
+      runtime: {
+        type: 'select',
+        default: 'classic',
+        choices: JSX_RUNTIMES,
+        label: 'JSX runtime'
+      }
+    },
+    transform: convertJSXToJS
   },
   {
     id: 'rename-variables',
@@ -46,31 +107,116 @@ export const TRANSFORMERS = [
         default: true,
         label: 'Preserve built-in names'
       }
-    }
+    },
+    transform: renameVariables
   },
   {
     id: 'flatten-control-flow',
     name: 'Flatten Control Flow',
-    description: 'Simplifies nested control flow structures',
+    description: 'Simplifies nested control flow structures and unflattens switch dispatchers',
     options: {
       maxDepth: {
         type: 'number',
         default: 2,
         label: 'Maximum nesting depth'
       }
-    }
+    },
+    transform: flattenControlFlow
+  },
+  {
+    id: 'expand-statements',
+    name: 'Expand Statements',
+    description: 'Splits comma sequences into statements and turns short-circuit and ternary statements into if/else',
+    options: {
+      sequences: {
+        type: 'boolean',
+        default: true,
+        label: 'Split comma sequences'
+      },
+      shortCircuits: {
+        type: 'boolean',
+        default: true,
+        label: 'Expand && and || statements'
+      },
+      ternaries: {
+        type: 'boolean',
+        default: true,
+        label: 'Expand ternary statements'
+      }
+    },
+    transform: expandStatements
   },
   {
     id: 'remove-dead-code',
     name: 'Remove Dead Code',
-    description: 'Removes unreachable code blocks',
+    description: 'Removes unreachable code, branches behind opaque predicates, uncalled functions and unused variables; top-level ones only in ES modules',
     options: {
       removeEmptyBlocks: {
         type: 'boolean',
         default: true,
         label: 'Remove empty blocks'
       }
-    }
+    },
+    transform: removeDeadCode
+  },
+  {
+    id: 'simplify-expressions',
+    name: 'Simplify Expressions',
+    description: 'Folds constant arithmetic and string concatenation, and normalizes !0, !![] and void 0 idioms',
+    options: {},
+    transform: (code, options, ast) => simplifyExpressions(code, ast)
+  },
+  {
+    id: 'normalize-literals',
+    name: 'Normalize Members and Literals',
+    description: "Rewrites obj['log'] as obj.log, computed keys as plain keys, and !0, void 0 and 1e3 as plain literals",
+    options: {},
+    transform: (code, options, ast) => normalizeLiterals(code, ast)
+  },
+  {
+    id: 'inline-proxies',
+    name: 'Inline Proxies',
+    description: 'Inlines wrapper functions and object proxy tables, including ones filled by assignment or read through aliases, at their call sites',
+    options: {},
+    transform: (code, options, ast) => inlineProxies(code, ast)
+  },
+  {
+    id: 'decode-escapes',
+    name: 'Decode Escaped Strings',
+    description: 'Rewrites \\xNN and \\uNNNN escapes in strings and templates as readable characters',
+    options: {
+      convertHexNumbers: {
+        type: 'boolean',
+        default: true,
+        label: 'Show hex numbers as decimal'
+      }
+    },
+    transform: decodeEscapes
+  },
+  {
+    id: 'unpack-eval',
+    name: 'Unpack Eval',
+    description: 'Runs eval, packer and Function-constructor payloads in a sandbox and substitutes the code they produce',
+    options: {
+      timeout: {
+        type: 'number',
+        default: 1000,
+        label: 'Sandbox time limit (ms)'
+      },
+      maxLayers: {
+        type: 'number',
+        default: 10,
+        label: 'Maximum packer layers'
+      }
+    },
+    transform: unpackEval
+  },
+  {
+    id: 'decode-string-array',
+    name: 'Decode String Array',
+    description: 'Inlines strings hidden in javascript-obfuscator string arrays and decoder functions',
+    options: {},
+    transform: (code, options, ast) => decodeStringArray(code, ast)
   },
   {
     id: 'auto-deobfuscate',
@@ -87,801 +233,3251 @@ export const TRANSFORMERS = [
         default: true,
         label: 'Remove empty blocks'
       }
-    }
+    },
+    transform: autoDeobfuscate
   }
 ];
 
 /**
- * Apply a transformation to the provided code
+ * Option types an options schema may use
+ */
+const OPTION_TYPES = ['boolean', 'number', 'string', 'select'];
+
+/**
+ * Registered transformers, in registration order
  *
- * @param {string} code - The original code to transform
- * @param {string} transformerId - ID of the transformer to apply
- * @param {Object} options - Options for the transformation
- * @returns {Object} Object containing transformed code and metadata
+ * The array is updated in place, so modules that imported it see every
+ * registration. Components should use listTransformers together with
+ * subscribeTransformers to re-render when it changes.
  */
-export function applyTransformation(code, transformerId, options = {}) {
-  // Find the requested transformer
-  const transformer = TRANSFORMERS.find(t => t.id === transformerId);
+export const TRANSFORMERS = [];
 
-  if (!transformer) {
-    throw new Error(`Transformer '${transformerId}' not found`);
-  }
+/**
+ * Callbacks to run when a transformer is registered or unregistered
+ */
+const transformerListeners = new Set();
+
+/**
+ * Copy of TRANSFORMERS that only changes when the registry does
+ */
+let transformerSnapshot = [];
 
-  // Apply the appropriate transformation based on ID
-  switch (transformerId) {
-    case 'format':
-      return formatCode(code);
+/**
+ * Refresh the snapshot and notify the subscribers
+ */
+function transformersChanged() {
+  transformerSnapshot = [...TRANSFORMERS];
+  transformerListeners.forEach(listener => listener());
+}
 
-    case 'minify':
-      return minifyCode(code, options);
+/**
+ * Check an options schema such as `{ maxDepth: { type: 'number', default: 2, label: '...' } }`
+ *
+ * @param {string} id - ID of the transformer the schema belongs to
+ * @param {Object} options - Options schema
+ * @throws {Error} When an option has an unknown type, no label, or a default of the wrong type
+ */
+function validateOptionsSchema(id, options) {
+  if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+    throw new Error(`Transformer '${id}': options must be an object`);
+  }
 
-    case 'es6-to-es5':
-      return convertES6ToES5(code);
+  Object.entries(options).forEach(([key, option]) => {
+    const fail = (problem) => {
+      throw new Error(`Transformer '${id}': option '${key}' ${problem}`);
+    };
 
-    case 'jsx-to-js':
-      return convertJSXToJS(code);
+    if (typeof option !== 'object' || option === null) {
+      fail('must be an object');
+    }
+    if (!OPTION_TYPES.includes(option.type)) {
+      fail(`has unknown type '${option.type}', expected one of ${OPTION_TYPES.join(', ')}`);
+    }
+    if (typeof option.label !== 'string' || !option.label) {
+      fail('needs a label');
+    }
 
-    case 'rename-variables':
-      return renameVariables(code, options);
+    if (option.type === 'select') {
+      if (!Array.isArray(option.choices) || option.choices.length === 0) {
+        fail('needs a non-empty choices array');
+      }
+      if (!option.choices.includes(option.default)) {
+        fail('must default to one of its choices');
+      }
+    } else if (option.type === 'number' ? !Number.isFinite(option.default) : typeof option.default !== option.type) {
+      fail(`must have a ${option.type} default`);
+    }
+  });
+}
 
-    case 'flatten-control-flow':
-      return flattenControlFlow(code, options);
+/**
+ * Register a transformer so applyTransformation and the UI can use it
+ *
+ * @param {Object} definition - Transformer definition
+ * @param {string} definition.id - Unique ID
+ * @param {string} definition.name - Name shown in the UI
+ * @param {string} definition.description - Description shown in the UI
+ * @param {Object} definition.options - Options schema, keyed by option name
+ * @param {Function} definition.transform - `(code, options, ast) => ({ code, map, stats })`
+ * @param {number} definition.points - Base points the scoring awards for the transformer,
+ *   stored in TRANSFORMATION_POINTS
+ * @returns {Object} The registered transformer
+ * @throws {Error} When the definition is invalid or the ID is taken
+ */
+export function registerTransformer(definition) {
+  const { id, name, description = '', options = {}, transform, points } = definition || {};
 
-    case 'remove-dead-code':
-      return removeDeadCode(code, options);
+  if (typeof id !== 'string' || !id) {
+    throw new Error('A transformer needs a string id');
+  }
+  if (TRANSFORMERS.some(transformer => transformer.id === id)) {
+    throw new Error(`Transformer '${id}' is already registered`);
+  }
+  if (typeof name !== 'string' || !name) {
+    throw new Error(`Transformer '${id}' needs a name`);
+  }
+  if (typeof transform !== 'function') {
+    throw new Error(`Transformer '${id}' needs a transform function`);
+  }
+  if (points !== undefined && !(Number.isFinite(points) && points >= 0)) {
+    throw new Error(`Transformer '${id}': points must be a non-negative number`);
+  }
+  validateOptionsSchema(id, options);
 
-    case 'auto-deobfuscate':
-      return autoDeobfuscate(code, options);
+  const transformer = { id, name, description, options, transform, points };
+  TRANSFORMERS.push(transformer);
 
-    default:
-      throw new Error(`Transformer '${transformerId}' has no implementation`);
+  if (points !== undefined) {
+    TRANSFORMATION_POINTS[id] = points;
   }
+
+  transformersChanged();
+  return transformer;
 }
 
 /**
- * Format code with proper indentation and spacing
+ * Remove a registered transformer
  *
- * @param {string} code - Code to format
- * @returns {Object} Formatted code and metadata
+ * @param {string} id - ID of the transformer
+ * @returns {boolean} True when a transformer was removed
  */
-function formatCode(code) {
-  // Simple formatting implementation
-  // In a real app, you might use a library like prettier
-
-  // This is a very basic implementation
-  let formatted = '';
-  let indentLevel = 0;
-  const lines = code.split('\n');
-
-  for (const line of lines) {
-    const trimmed = line.trim();
-
-    // Adjust indent level based on braces
-    if (trimmed.endsWith('{')) {
-      formatted += '  '.repeat(indentLevel) + trimmed + '\n';
-      indentLevel++;
-    } else if (trimmed.startsWith('}')) {
-      indentLevel = Math.max(0, indentLevel - 1);
-      formatted += '  '.repeat(indentLevel) + trimmed + '\n';
-    } else if (trimmed.length > 0) {
-      formatted += '  '.repeat(indentLevel) + trimmed + '\n';
-    } else {
-      formatted += '\n'; // Preserve empty lines
-    }
+export function unregisterTransformer(id) {
+  const index = TRANSFORMERS.findIndex(transformer => transformer.id === id);
+  if (index === -1) {
+    return false;
   }
 
-  return {
-    code: formatted,
-    stats: {
-      linesChanged: lines.length
-    }
-  };
+  const [transformer] = TRANSFORMERS.splice(index, 1);
+
+  // Only points the transformer declared itself go away with it
+  if (transformer.points !== undefined) {
+    delete TRANSFORMATION_POINTS[id];
+  }
+
+  transformersChanged();
+  return true;
 }
 
 /**
- * Minify code by removing whitespace
+ * List the registered transformers
  *
- * @param {string} code - Code to minify
- * @param {Object} options - Minification options
- * @returns {Object} Minified code and metadata
+ * The same array is returned until the registry changes, as React's
+ * useSyncExternalStore expects.
+ *
+ * @returns {Object[]} Registered transformers
  */
-function minifyCode(code, options = {}) {
-  const { removeComments = true } = options;
+export function listTransformers() {
+  return transformerSnapshot;
+}
 
-  // Remove comments if option is enabled
-  let processed = code;
-  if (removeComments) {
-    // Remove single-line comments
-    processed = processed.replace(/\/\/.*$/gm, '');
-    // Remove multi-line comments
-    processed = processed.replace(/\/\*[\s\S]*?\*\//g, '');
-  }
+/**
+ * Subscribe to registrations and unregistrations
+ *
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Function that removes the subscription
+ */
+export function subscribeTransformers(listener) {
+  transformerListeners.add(listener);
+  return () => transformerListeners.delete(listener);
+}
 
-  // Remove extra whitespace
-  processed = processed
-    .replace(/\s+/g, ' ')
-    .replace(/\s*([{}:;,])\s*/g, '$1')
-    .replace(/\s*\(\s*/g, '(')
-    .replace(/\s*\)\s*/g, ')')
-    .trim();
+BUILTIN_TRANSFORMERS.forEach(definition => registerTransformer(definition));
 
-  return {
-    code: processed,
-    stats: {
-      originalSize: code.length,
-      minifiedSize: processed.length,
-      reduction: Math.round((1 - processed.length / code.length) * 100)
+/**
+ * Fill in option defaults and convert number options typed as text
+ *
+ * @param {Object} transformer - Registered transformer
+ * @param {Object} options - Options passed to applyTransformation
+ * @returns {Object} Options for the transform function
+ * @throws {Error} When a number option is not a number
+ */
+function resolveOptions(transformer, options) {
+  const resolved = { ...options };
+
+  Object.entries(transformer.options).forEach(([key, option]) => {
+    if (resolved[key] === undefined || resolved[key] === '') {
+      resolved[key] = option.default;
+    } else if (option.type === 'number') {
+      const value = Number(resolved[key]);
+      if (!Number.isFinite(value)) {
+        throw new Error(`Option '${key}' of transformer '${transformer.id}' must be a number`);
+      }
+      resolved[key] = value;
     }
-  };
+  });
+
+  return resolved;
 }
 
 /**
- * Convert ES6 code to ES5 compatible code
+ * Apply a transformation to the provided code
  *
- * @param {string} code - ES6 code to convert
- * @returns {Object} Converted code and metadata
+ * The code is parsed once and the resulting AST is handed to the transformer.
+ *
+ * @param {string} code - The original code to transform
+ * @param {string} transformerId - ID of the transformer to apply
+ * @param {Object} options - Options for the transformation
+ * @returns {Object} Object containing the transformed code, a V3 source map from the
+ *   transformed code back to the input, and metadata
  */
-function convertES6ToES5(code) {
-  // This is a simplified implementation
-  // In a real app, you would use Babel or a similar transpiler
-
-  let converted = code;
+export function applyTransformation(code, transformerId, options = {}) {
+  // Find the requested transformer
+  const transformer = TRANSFORMERS.find(t => t.id === transformerId);
 
-  // Convert arrow functions to regular functions
-  converted = converted.replace(/const\s+(\w+)\s*=\s*\(([^)]*)\)\s*=>\s*{/g, 'function $1($2) {');
-  converted = converted.replace(/\(([^)]*)\)\s*=>\s*{/g, 'function($1) {');
+  if (!transformer) {
+    throw new Error(`Transformer '${transformerId}' not found`);
+  }
 
-  // Convert let/const to var
-  converted = converted.replace(/let\s+/g, 'var ');
-  converted = converted.replace(/const\s+/g, 'var ');
+  const ast = parseCode(code);
+  const result = transformer.transform(code, resolveOptions(transformer, options), ast);
 
-  // Convert template literals to string concatenation
-  // This is a very basic implementation that won't handle all cases
-  converted = converted.replace(/`([^`]*)\${([^}]*)}\s*([^`]*)`/g, '"$1" + $2 + "$3"');
+  if (!result || typeof result.code !== 'string') {
+    throw new Error(`Transformer '${transformerId}' did not return any code`);
+  }
 
+  // Plugins may leave out the map and the statistics
   return {
-    code: converted,
-    stats: {
-      transformations: {
-        arrowFunctions: (code.match(/=>/g) || []).length,
-        letConst: (code.match(/let |const /g) || []).length,
-        templateLiterals: (code.match(/\${/g) || []).length
-      }
-    }
+    map: null,
+    stats: {},
+    ...result
   };
 }
 
 /**
- * Convert JSX code to plain JavaScript
+ * Format code with proper indentation and spacing
  *
- * @param {string} code - JSX code to convert
- * @returns {Object} Converted code and metadata
+ * @param {string} code - Code to format
+ * @param {Object} options - Formatting options
+ * @param {number} options.indentWidth - Spaces per indentation level
+ * @param {number} options.maxLineLength - Length above which lines are wrapped
+ * @param {Object} ast - Parsed AST of the code
+ * @returns {Object} Formatted code and metadata
  */
-function convertJSXToJS(code) {
-  // This is a simplified implementation
-  // In a real app, you would use Babel or a similar transpiler
-
-  let converted = code;
-
-  // Convert simple JSX elements to React.createElement calls
-  // This is a very basic implementation that won't handle all cases
-  converted = converted.replace(/<(\w+)([^>]*)>([^<]*)<\/\1>/g, 'React.createElement("$1", $2, "$3")');
+function formatCode(code, options = {}, ast = parseCode(code)) {
+  const { code: formatted, map, linesWrapped } = layoutCode(ast, code, options);
 
   return {
-    code: converted,
+    code: formatted,
+    map,
     stats: {
-      elementsConverted: (code.match(/<\w+/g) || []).length
+      linesBefore: code.split('\n').length,
+      linesAfter: formatted.split('\n').length,
+      linesWrapped
     }
   };
 }
 
 /**
- * Rename short variable names to more descriptive ones
+ * Minify code by removing whitespace and unused code and shortening local names
  *
- * @param {string} code - Code with short variable names
- * @param {Object} options - Renaming options
- * @returns {Object} Code with renamed variables and metadata
+ * The code is printed from the AST, so strings, regular expressions and
+ * templates are never touched by the whitespace removal.
+ *
+ * @param {string} code - Code to minify
+ * @param {Object} options - Minification options
+ * @param {boolean} options.removeComments - Drop comments from the output
+ * @param {boolean} options.mangle - Give local bindings the shortest free names
+ * @param {boolean} options.removeUnused - Remove unused variables and unreachable branches
+ * @param {Object} ast - Parsed AST of the code
+ * @returns {Object} Minified code, its V3 source map and metadata
  */
-export function renameVariables(code, options = {}) {
-  const { preserveBuiltins = true } = options;
-
-  // Common short variable names and their more descriptive replacements based on common usage
-  const commonVariableMap = {
-    a: 'value',
-    b: 'input',
-    c: 'result',
-    d: 'data',
-    e: 'error',
-    f: 'func',
-    g: 'group',
-    h: 'handler',
-    i: 'index',
-    j: 'counter',
-    k: 'key',
-    l: 'length',
-    m: 'map',
-    n: 'number',
-    o: 'object',
-    p: 'param',
-    q: 'queue',
-    r: 'response',
-    s: 'string',
-    t: 'temp',
-    u: 'user',
-    v: 'value',
-    w: 'width',
-    x: 'xCoord',
-    y: 'yCoord',
-    z: 'zone'
-  };
-
-  // Built-in names and common loop variables to preserve
-  const builtins = [
-    'window', 'document', 'console', 'Math', 'Array', 'Object', 'String', 'Number', 'Boolean', 'Date',
-    'RegExp', 'Map', 'Set', 'Promise', 'JSON', 'Error', 'Function', 'parseInt', 'parseFloat', 'isNaN',
-    'setTimeout', 'setInterval', 'clearTimeout', 'clearInterval', 'fetch', 'XMLHttpRequest'
-  ];
+function minifyCode(code, options = {}, ast = parseCode(code)) {
+  const { removeComments = true, mangle = true, removeUnused = true } = options;
 
-  // Common loop variables that might be intentionally short
-  const commonLoopVars = ['i', 'j', 'k', 'x', 'y', 'n'];
+  const removals = removeUnused ? deadCodePass(ast) : { removed: [] };
+  const namesMangled = mangle ? manglePass(ast) : 0;
 
-  let renamed = code;
-  let replacements = 0;
+  const { code: processed, map } = printWithSourceMap(ast, code, { minified: true, comments: !removeComments });
 
-  // Try to detect context for variables
-  const contextualRenaming = {};
+  // Sizes in UTF-8 bytes, as the code would be served
+  const originalSize = new TextEncoder().encode(code).length;
+  const minifiedSize = new TextEncoder().encode(processed).length;
 
-  // Check for loop variables
-  const forLoopPattern = /for\s*\(\s*(var|let|const)?\s*([a-zA-Z_$][a-zA-Z0-9_$]*)\s*=.*?;.*?;.*?\)/g;
-  const forLoopMatches = [...code.matchAll(forLoopPattern)];
-  forLoopMatches.forEach(match => {
-    const loopVar = match[2];
-    if (loopVar && loopVar.length <= 2) {
-      contextualRenaming[loopVar] = 'index';
-      if (loopVar !== 'i') {
-        // If we already have an 'i', name others more specifically
-        contextualRenaming[loopVar] = `${loopVar}Index`;
-      }
+  return {
+    code: processed,
+    map,
+    stats: {
+      originalSize,
+      minifiedSize,
+      reduction: originalSize > 0 ? Math.round((1 - minifiedSize / originalSize) * 100) : 0,
+      namesMangled,
+      unusedRemoved: removals.removed.length
     }
-  });
+  };
+}
 
-  // Check for while loop variables
-  const whileLoopPattern = /while\s*\([^)]*([a-zA-Z_$][a-zA-Z0-9_$]*)[^)]*\)/g;
-  const whileLoopMatches = [...code.matchAll(whileLoopPattern)];
-  whileLoopMatches.forEach(match => {
-    const loopVar = match[1];
-    if (loopVar && loopVar.length <= 2 && !contextualRenaming[loopVar]) {
-      contextualRenaming[loopVar] = 'counter';
-    }
-  });
+/**
+ * First characters of mangled names, most common letters first
+ */
+const MANGLE_START_CHARACTERS = 'etnrisoualcdpfmhgbvyxwkqjzETNRISOUALCDPFMHGBVYXWKQJZ_$';
 
-  // Check for function parameters that might indicate purpose
-  const functionParamPattern = /function\s+([a-zA-Z_$][a-zA-Z0-9_$]*)\s*\(\s*([^)]*)\s*\)/g;
-  const functionMatches = [...code.matchAll(functionParamPattern)];
-  functionMatches.forEach(match => {
-    const funcName = match[1];
-    const params = match[2].split(',').map(p => p.trim());
-
-    // If function name gives context to parameters
-    if (funcName) {
-      if (funcName.includes('get') || funcName.includes('fetch')) {
-        // Likely a getter function
-        params.forEach((param, idx) => {
-          if (param.length <= 2 && idx === 0) {
-            contextualRenaming[param] = 'id';
-          }
-        });
-      } else if (funcName.includes('calc') || funcName.includes('compute')) {
-        // Likely a calculation function
-        params.forEach((param, idx) => {
-          if (param.length <= 2) {
-            contextualRenaming[param] = idx === 0 ? 'value' : 'factor';
-          }
-        });
-      } else if (funcName.includes('set') || funcName.includes('update')) {
-        // Likely a setter function
-        params.forEach((param, idx) => {
-          if (param.length <= 2 && idx === 0) {
-            contextualRenaming[param] = 'newValue';
-          }
-        });
-      }
-    }
-  });
+/**
+ * Further characters of mangled names
+ */
+const MANGLE_CHARACTERS = `${MANGLE_START_CHARACTERS}0123456789`;
 
-  // Also check for anonymous functions and arrow functions
-  const anonymousFuncPattern = /(?:var|let|const)\s+([a-zA-Z_$][a-zA-Z0-9_$]*)\s*=\s*function\s*\(\s*([^)]*)\s*\)/g;
-  const anonymousFuncMatches = [...code.matchAll(anonymousFuncPattern)];
-  anonymousFuncMatches.forEach(match => {
-    const funcName = match[1];
-    const params = match[2].split(',').map(p => p.trim());
+/**
+ * Build the mangled name with the given index: e, t, n, ..., $, ee, et, ...
+ *
+ * @param {number} index - Position in the name sequence
+ * @returns {string} Candidate name, which may be a reserved word
+ */
+function mangledName(index) {
+  let name = MANGLE_START_CHARACTERS[index % MANGLE_START_CHARACTERS.length];
+  let rest = Math.floor(index / MANGLE_START_CHARACTERS.length);
+
+  while (rest > 0) {
+    rest--;
+    name += MANGLE_CHARACTERS[rest % MANGLE_CHARACTERS.length];
+    rest = Math.floor(rest / MANGLE_CHARACTERS.length);
+  }
 
-    params.forEach((param, idx) => {
-      if (param.length <= 2) {
-        contextualRenaming[param] = idx === 0 ? 'param' : `param${idx + 1}`;
-      }
-    });
-  });
+  return name;
+}
 
-  // Check for array operations that might indicate purpose
-  const arrayOpPattern = /([a-zA-Z_$][a-zA-Z0-9_$]*)\.(map|filter|reduce|forEach|find|some|every)\s*\(\s*(?:function|\(([^)]*)\)\s*=>)/g;
-  const arrayOpMatches = [...code.matchAll(arrayOpPattern)];
-  arrayOpMatches.forEach(match => {
-    const arrayMethod = match[2];
-    const arrowParam = match[3];
-
-    if (arrowParam && arrowParam.length <= 2) {
-      if (arrayMethod === 'map') {
-        contextualRenaming[arrowParam] = 'item';
-      } else if (arrayMethod === 'filter') {
-        contextualRenaming[arrowParam] = 'item';
-      } else if (arrayMethod === 'reduce') {
-        contextualRenaming[arrowParam] = 'acc';
-      } else if (arrayMethod === 'forEach') {
-        contextualRenaming[arrowParam] = 'item';
-      } else if (arrayMethod === 'find' || arrayMethod === 'some' || arrayMethod === 'every') {
-        contextualRenaming[arrowParam] = 'item';
-      }
+/**
+ * Rename the bindings of every function and block scope to the shortest free names
+ *
+ * Mangled names never occur anywhere in the original code and never shadow
+ * each other, so no reference can be captured by a renamed binding. Scopes a
+ * direct eval or a with statement can see into keep their names, as do
+ * top-level bindings, which other scripts and modules may use.
+ *
+ * @param {Object} ast - AST to mangle
+ * @returns {number} Number of renamed bindings
+ */
+function manglePass(ast) {
+  const usedNames = new Set();
+  const dynamicScopes = new Set();
+  const scopes = [];
+
+  const markDynamic = (path) => {
+    for (let scope = path.scope; scope; scope = scope.parent) {
+      dynamicScopes.add(scope);
     }
-  });
+  };
 
-  // Find all variable declarations
-  const varDeclarationPattern = /\b(var|let|const)\s+([a-zA-Z_$][a-zA-Z0-9_$]*)(?:\s*=\s*([^;]+))?/g;
-  const varDeclarations = [...code.matchAll(varDeclarationPattern)];
-
-  // Extract variable names and try to determine context from initialization
-  const varNames = new Set();
-  const varContexts = {};
-
-  varDeclarations.forEach(match => {
-    const varName = match[2];
-    const initExpression = match[3];
-
-    varNames.add(varName);
-
-    // Try to determine context from initialization
-    if (initExpression) {
-      if (initExpression.includes('new Date')) {
-        varContexts[varName] = 'date';
-      } else if (initExpression.includes('document.getElementById') || initExpression.includes('querySelector')) {
-        varContexts[varName] = 'element';
-      } else if (initExpression.includes('[]')) {
-        varContexts[varName] = 'array';
-      } else if (initExpression.includes('{}')) {
-        varContexts[varName] = 'object';
-      } else if (initExpression.includes('function') || initExpression.includes('=>')) {
-        varContexts[varName] = 'callback';
-      } else if (/\d+(\.\d+)?/.test(initExpression) && !/['"`]/.test(initExpression)) {
-        varContexts[varName] = 'number';
-      } else if (/['"`]/.test(initExpression)) {
-        varContexts[varName] = 'text';
-      } else if (/true|false/.test(initExpression)) {
-        varContexts[varName] = 'flag';
+  traverseAst(ast, {
+    'Identifier|JSXIdentifier'(path) {
+      usedNames.add(path.node.name);
+    },
+    Scopable(path) {
+      if (!scopes.includes(path.scope)) {
+        scopes.push(path.scope);
       }
+    },
+    CallExpression(path) {
+      markEvalScopes(path, dynamicScopes);
+    },
+    // Names inside a with statement may resolve to properties of its object
+    WithStatement(path) {
+      markDynamic(path);
+      path.get('body').traverse({ Scopable: markDynamic });
     }
   });
 
-  // Check for switch statements to identify mapping objects
-  const switchPattern = /switch\s*\(([^)]+)\)/g;
-  const switchMatches = [...code.matchAll(switchPattern)];
-  switchMatches.forEach(match => {
-    const switchExpr = match[1];
-    if (switchExpr.includes('[')) {
-      // This might be a mapping object
-      const mappingMatch = switchExpr.match(/([a-zA-Z_$][a-zA-Z0-9_$]*)\[/);
-      if (mappingMatch && mappingMatch[1] && mappingMatch[1].length <= 2) {
-        contextualRenaming[mappingMatch[1]] = 'mappings';
-      }
-    }
-  });
+  // Scopes are listed outside in, so the names of enclosing scopes are known first
+  const assigned = new Map();
+  let renamed = 0;
 
-  // Filter out variables we don't want to rename
-  const varsToRename = [...varNames].filter(name => {
-    // Skip common loop variables if they appear in typical loop contexts
-    if (commonLoopVars.includes(name) && contextualRenaming[name] === 'index') {
-      return false;
+  scopes.forEach(scope => {
+    if (scope.path.isProgram() || dynamicScopes.has(scope)) {
+      return;
     }
 
-    // Skip if it's a built-in and we want to preserve those
-    if (preserveBuiltins && builtins.includes(name)) {
-      return false;
+    const taken = new Set();
+    for (let parent = scope.parent; parent; parent = parent.parent) {
+      (assigned.get(parent) || []).forEach(name => taken.add(name));
     }
 
-    // Skip if it's already descriptive (longer than 2 chars)
-    if (name.length > 2) {
-      return false;
-    }
+    // Block-level functions of sloppy code are also visible in the enclosing function
+    const bindings = Object.values(scope.bindings)
+      .filter(binding => !(binding.kind === 'hoisted' && scope.path.isBlockStatement() &&
+        !scope.path.parentPath.isFunction()))
+      .sort((a, b) => b.references - a.references);
 
-    return true;
-  });
+    const names = [];
+    let index = 0;
 
-  // Create a map of variables to rename for this specific code
-  const renameMap = {};
-
-  varsToRename.forEach(name => {
-    // First check if we have contextual information
-    if (contextualRenaming[name]) {
-      renameMap[name] = contextualRenaming[name];
-    }
-    // Then check if we have context from initialization
-    else if (varContexts[name]) {
-      const context = varContexts[name];
-      if (context === 'date') {
-        renameMap[name] = 'date';
-      } else if (context === 'element') {
-        renameMap[name] = 'element';
-      } else if (context === 'array') {
-        renameMap[name] = 'items';
-      } else if (context === 'object') {
-        renameMap[name] = 'data';
-      } else if (context === 'callback') {
-        renameMap[name] = 'callback';
-      } else if (context === 'number') {
-        renameMap[name] = 'value';
-      } else if (context === 'text') {
-        renameMap[name] = 'text';
-      } else if (context === 'flag') {
-        renameMap[name] = 'isEnabled';
-      }
-    }
-    // Fall back to common variable map
-    else if (name.length === 1 && commonVariableMap[name]) {
-      renameMap[name] = commonVariableMap[name];
-    }
-    // For 2-letter variables, try to make something more descriptive
-    else {
-      renameMap[name] = name + 'Value';
-    }
-  });
+    bindings.forEach(binding => {
+      let name = mangledName(index++);
+      while (usedNames.has(name) || taken.has(name) || !t.isValidIdentifier(name)) {
+        name = mangledName(index++);
+      }
 
-  // Perform the replacements
-  Object.entries(renameMap).forEach(([oldName, newName]) => {
-    // Use regex with word boundaries to avoid partial replacements
-    const regex = new RegExp(`\\b${oldName}\\b`, 'g');
-    const count = (code.match(regex) || []).length;
+      names.push(name);
+      scope.rename(binding.identifier.name, name);
+      renamed++;
+    });
 
-    if (count > 0) {
-      renamed = renamed.replace(regex, newName);
-      replacements += count;
-    }
+    assigned.set(scope, names);
   });
 
-  // Format the code after renaming for better readability
-  renamed = formatCode(renamed).code;
+  return renamed;
+}
+
+/**
+ * Convert ES6 code to ES5 compatible code
+ *
+ * @param {string} code - ES6 code to convert
+ * @param {Object} options - Conversion options, including the target edition
+ * @param {Object} ast - Parsed AST of the code
+ * @returns {Object} Converted code and metadata
+ */
+function convertES6ToES5(code, options = {}, ast = parseCode(code)) {
+  const { ast: downleveled, target, transformations } = downlevel(ast, code, options);
 
   return {
-    code: renamed,
+    ...printWithSourceMap(downleveled, code),
     stats: {
-      variablesRenamed: Object.keys(renameMap).length,
-      totalReplacements: replacements,
-      renameMap
+      target,
+      transformations
     }
   };
 }
 
 /**
- * Flatten nested control flow structures
+ * Modernize ES5-style code: const/let, arrow functions, template literals and object spread
  *
- * @param {string} code - Code with nested control flow
- * @param {Object} options - Flattening options
- * @returns {Object} Code with flattened control flow and metadata
+ * @param {string} code - ES5 code to modernize
+ * @param {Object} ast - Parsed AST of the code
+ * @returns {Object} Modernized code and metadata
  */
-export function flattenControlFlow(code, options = {}) {
+export function modernizeCode(code, ast = parseCode(code)) {
+  const stats = modernizePass(ast);
+
+  return {
+    ...printWithSourceMap(ast, code),
+    stats
+  };
+}
+
+/**
+ * Check whether a function expression can become an arrow function without changing behavior
+ *
+ * @param {Object} path - Path of a FunctionExpression
+ * @returns {boolean} True when the function does not depend on its own `this`, `arguments` or name
+ */
+function isArrowCompatible(path) {
+  const { node } = path;
+  const names = node.params.map(param => (t.isIdentifier(param) ? param.name : null));
+
+  if (node.id || node.generator || node.body.directives.length > 0 ||
+      new Set(names).size !== names.length) {
+    return false;
+  }
+
+  // Arrows cannot be constructed
+  if (path.parentPath.isNewExpression({ callee: node })) {
+    return false;
+  }
+  if (path.parentPath.isVariableDeclarator({ init: node }) && t.isIdentifier(path.parent.id)) {
+    const binding = path.scope.getBinding(path.parent.id.name);
+    const constructs = !binding || binding.referencePaths.some(reference =>
+      reference.parentPath.isNewExpression({ callee: reference.node }) ||
+      reference.parentPath.isMemberExpression({ object: reference.node }) &&
+        memberKey(reference.parent) === 'prototype');
+    if (constructs) {
+      return false;
+    }
+  }
+
+  // `this`, `arguments`, `super` and `new.target` would refer to the enclosing function instead
+  let dependsOnFunction = false;
+  path.traverse({
+    'FunctionDeclaration|FunctionExpression|ObjectMethod|ClassMethod|ClassPrivateMethod'(innerPath) {
+      innerPath.skip();
+    },
+    'ThisExpression|Super|MetaProperty'() {
+      dependsOnFunction = true;
+    },
+    Identifier(innerPath) {
+      if (innerPath.node.name === 'arguments' && innerPath.isReferencedIdentifier() &&
+          !innerPath.scope.hasBinding('arguments', true)) {
+        dependsOnFunction = true;
+      }
+    }
+  });
+
+  return !dependsOnFunction;
+}
+
+/**
+ * Escape a string for use as the raw text of a template literal
+ *
+ * @param {string} value - Cooked string value
+ * @returns {string} Raw template text
+ */
+function templateRaw(value) {
+  const escapes = { '\\': '\\\\', '`': '\\`', '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+
+  return value
+    .replace(/[\\`\n\r\t]/g, char => escapes[char])
+    .replace(/\$\{/g, '\\${')
+    .replace(/[^ ]/gu, char => {
+      if (!UNPRINTABLE_CHARACTER.test(char)) {
+        return char;
+      }
+      return [...char].map(unit => `\\u${unit.charCodeAt(0).toString(16).padStart(4, '0')}`).join('');
+    });
+}
+
+/**
+ * Operators whose result is always a primitive, whatever their operands are
+ */
+const PRIMITIVE_BINARY_OPERATORS = new Set([
+  '+', '-', '*', '/', '%', '**', '|', '&', '^', '<<', '>>', '>>>',
+  '==', '!=', '===', '!==', '<', '<=', '>', '>=', 'in', 'instanceof'
+]);
+
+/**
+ * Check whether an expression is known to evaluate to a primitive
+ *
+ * String concatenation converts an object with valueOf but a template literal uses
+ * toString, so only primitives can move from one to the other.
+ *
+ * @param {Object} node - Expression node
+ * @returns {boolean} True if the value is always a primitive
+ */
+function isKnownPrimitive(node) {
+  if (t.isLiteral(node) && !t.isRegExpLiteral(node)) {
+    return true;
+  }
+  if (t.isUnaryExpression(node) || t.isUpdateExpression(node)) {
+    return true;
+  }
+  if (t.isBinaryExpression(node)) {
+    return PRIMITIVE_BINARY_OPERATORS.has(node.operator);
+  }
+  if (t.isLogicalExpression(node)) {
+    return isKnownPrimitive(node.left) && isKnownPrimitive(node.right);
+  }
+  if (t.isConditionalExpression(node)) {
+    return isKnownPrimitive(node.consequent) && isKnownPrimitive(node.alternate);
+  }
+  return false;
+}
+
+/**
+ * Get the places a binding is assigned after its declaration
+ *
+ * Babel also lists the declarator of a for-in/of head, which assigns on every iteration
+ * but becomes a fresh binding per iteration once it is block scoped.
+ *
+ * @param {Object} binding - Babel binding
+ * @returns {Object[]} Paths of the reassignments
+ */
+function reassignments(binding) {
+  return binding.constantViolations.filter(violation => violation.node !== binding.path.node);
+}
+
+/**
+ * Check whether a `var` declaration can become `let` or `const` without changing behavior
+ *
+ * Every binding must be declared once, used only inside the block that would scope it
+ * and only after its declaration, and must not be captured by closures inside a loop,
+ * where `let` would create a new binding per iteration, or by function declarations,
+ * which are hoisted and may run before the declaration.
+ *
+ * @param {Object} path - Path of a `var` VariableDeclaration
+ * @returns {Object[]|null} Bindings of the declaration, or null when it must stay `var`
+ */
+function blockScopableBindings(path) {
+  const isForHead = path.parentPath.isFor() && path.key !== 'body';
+  if (!isForHead && !path.parentPath.isBlockStatement() && !path.parentPath.isProgram()) {
+    return null;
+  }
+
+  // The block that will scope the binding: the loop for a loop head, the enclosing block otherwise
+  const block = path.parentPath;
+  const enclosingLoop = path.findParent(parent => parent.isFunction() || parent.isLoop());
+  const inLoop = isForHead || Boolean(enclosingLoop && enclosingLoop.isLoop());
+
+  // Without an initializer a loop-body `var` keeps its value between iterations
+  if (inLoop && !isForHead && path.node.declarations.some(declarator => !declarator.init)) {
+    return null;
+  }
+
+  const bindings = [];
+  for (const name of Object.keys(path.getBindingIdentifiers())) {
+    const binding = path.scope.getBinding(name);
+
+    if (!binding || binding.kind !== 'var' || !path.isAncestor(binding.path) ||
+        reassignments(binding).some(violation => violation.isVariableDeclarator() || violation.isFunctionDeclaration())) {
+      return null;
+    }
+
+    const usages = [...binding.referencePaths, ...reassignments(binding)];
+    const usable = usages.every(usage => {
+      if (!usage.isDescendant(block) || !(usage.node.start >= binding.path.node.end)) {
+        return false;
+      }
+      const declaringFunction = path.getFunctionParent();
+      const closure = usage.getFunctionParent();
+      if (!closure || closure === declaringFunction) {
+        return true;
+      }
+      if (inLoop) {
+        return false;
+      }
+
+      // A hoisted function declaration can run before the declaration, where let and const are in the TDZ
+      for (let fn = closure; fn && fn !== declaringFunction; fn = fn.parentPath.getFunctionParent()) {
+        if (fn.isFunctionDeclaration()) {
+          return false;
+        }
+      }
+      return true;
+    });
+
+    if (!usable) {
+      return null;
+    }
+    bindings.push(binding);
+  }
+
+  return bindings;
+}
+
+/**
+ * Modernize an AST
+ *
+ * @param {Object} ast - AST to modernize
+ * @returns {Object} Modernization statistics
+ */
+function modernizePass(ast) {
+  const modernized = {
+    constDeclarations: 0,
+    letDeclarations: 0,
+    arrowFunctions: 0,
+    templateLiterals: 0,
+    objectSpreads: 0
+  };
+
+  traverseAst(ast, {
+    // 1. Object.assign({}, x) becomes { ...x }
+    CallExpression: {
+      exit(path) {
+        const { callee, arguments: args } = path.node;
+        const target = args[0];
+
+        if (!t.isMemberExpression(callee) || !t.isIdentifier(callee.object, { name: 'Object' }) ||
+            memberKey(callee) !== 'assign' || path.scope.hasBinding('Object', true) ||
+            !t.isObjectExpression(target) || args.length < 2 ||
+            !target.properties.every(property => t.isObjectProperty(property) || t.isSpreadElement(property)) ||
+            args.some(arg => t.isSpreadElement(arg))) {
+          return;
+        }
+
+        // Object.assign sets properties, so a source's own __proto__ key would change the prototype
+        const isPlainSource = (source) => t.isObjectExpression(source) && source.properties.every(property =>
+          t.isSpreadElement(property) ||
+          (t.isObjectProperty(property) && !property.computed && !t.isIdentifier(property.key, { name: '__proto__' }) &&
+            !t.isStringLiteral(property.key, { value: '__proto__' })));
+
+        const properties = [...target.properties];
+        args.slice(1).forEach(source => {
+          if (isPlainSource(source)) {
+            properties.push(...source.properties);
+          } else {
+            properties.push(t.spreadElement(source));
+          }
+        });
+
+        path.replaceWith(t.objectExpression(properties));
+        modernized.objectSpreads++;
+      }
+    },
+
+    // 2. 'a' + b + 'c' becomes `a${b}c` when b is known to be a primitive
+    BinaryExpression: {
+      exit(path) {
+        if (path.node.operator !== '+' || path.parentPath.isBinaryExpression({ operator: '+', left: path.node })) {
+          return;
+        }
+
+        // Flatten the left-associative chain
+        const operands = [];
+        let current = path.node;
+        while (t.isBinaryExpression(current, { operator: '+' })) {
+          operands.unshift(current.right);
+          current = current.left;
+        }
+        operands.unshift(current);
+
+        // Everything before the first string is added as numbers, so it stays one expression
+        const firstString = operands.findIndex(operand => t.isStringLiteral(operand));
+        if (firstString === -1 || operands.every(operand => t.isStringLiteral(operand))) {
+          return;
+        }
+
+        const head = operands.slice(0, firstString).reduce((sum, operand) =>
+          (sum ? t.binaryExpression('+', sum, operand) : operand), null);
+        const parts = head ? [head, ...operands.slice(firstString)] : operands.slice(firstString);
+        if (!parts.every(isKnownPrimitive)) {
+          return;
+        }
+
+        const quasis = [];
+        const expressions = [];
+        let text = '';
+
+        parts.forEach(part => {
+          if (t.isStringLiteral(part)) {
+            text += part.value;
+          } else {
+            quasis.push(t.templateElement({ raw: templateRaw(text), cooked: text }));
+            expressions.push(part);
+            text = '';
+          }
+        });
+        quasis.push(t.templateElement({ raw: templateRaw(text), cooked: text }, true));
+
+        path.replaceWith(t.templateLiteral(quasis, expressions));
+        modernized.templateLiterals++;
+      }
+    },
+
+    // 3. function () { return x; } becomes () => x
+    FunctionExpression: {
+      exit(path) {
+        if (!isArrowCompatible(path)) {
+          return;
+        }
+
+        const { params, body, async } = path.node;
+        const [onlyStatement] = body.body;
+        const conciseBody = body.body.length === 1 && t.isReturnStatement(onlyStatement) && onlyStatement.argument
+          ? onlyStatement.argument
+          : body;
+
+        path.replaceWith(t.arrowFunctionExpression(params, conciseBody, async));
+        modernized.arrowFunctions++;
+      }
+    }
+  });
+
+  // 4. var becomes const when never reassigned, let otherwise
+  const evalScopes = new Set();
+  const declarations = [];
+
+  traverseAst(ast, {
+    CallExpression(path) {
+      markEvalScopes(path, evalScopes);
+    },
+
+    VariableDeclaration(path) {
+      if (path.node.kind === 'var') {
+        declarations.push(path);
+      }
+    }
+  });
+
+  declarations.forEach(path => {
+    if (evalScopes.has(path.scope)) {
+      return;
+    }
+
+    const bindings = blockScopableBindings(path);
+    if (!bindings) {
+      return;
+    }
+
+    // const needs an initializer, except in for-in/of heads, and would break a classic for loop's update
+    const isForInOf = path.parentPath.isForXStatement() && path.key === 'left';
+    const isConstant = bindings.every(binding => reassignments(binding).length === 0) &&
+      (isForInOf || (!path.parentPath.isFor() && path.node.declarations.every(declarator => declarator.init)));
+
+    path.node.kind = isConstant ? 'const' : 'let';
+    if (isConstant) {
+      modernized.constDeclarations++;
+    } else {
+      modernized.letDeclarations++;
+    }
+  });
+
+  return {
+    ...modernized,
+    totalModernized: Object.values(modernized).reduce((sum, count) => sum + count, 0)
+  };
+}
+
+/**
+ * Convert JSX code to plain JavaScript
+ *
+ * The classic runtime calls `React.createElement(type, props, ...children)`. The
+ * automatic runtime calls `jsx`/`jsxs` from `react/jsx-runtime` with the children
+ * inside the props and the key as a separate argument, and imports those helpers.
+ *
+ * @param {string} code - JSX code to convert
+ * @param {Object} options - Conversion options
+ * @param {string} options.runtime - 'classic' or 'automatic'
+ * @param {Object} ast - Parsed AST of the code
+ * @returns {Object} Converted code and metadata
+ * @throws {Error} When the runtime is not supported
+ */
+function convertJSXToJS(code, options = {}, ast = parseCode(code)) {
+  const { runtime = 'classic' } = options;
+
+  if (!JSX_RUNTIMES.includes(runtime)) {
+    throw new Error(`Unsupported JSX runtime "${runtime}", expected one of ${JSX_RUNTIMES.join(', ')}`);
+  }
+
+  let elementsConverted = 0;
+  let programPath = null;
+
+  // Helpers of the automatic runtime, imported once each on first use
+  const helpers = new Map();
+  const helper = (name, source) => {
+    const key = `${source}:${name}`;
+    if (!helpers.has(key)) {
+      helpers.set(key, { name, source, id: programPath.scope.generateUidIdentifier(name) });
+    }
+    return t.cloneNode(helpers.get(key).id);
+  };
+
+  const reactMember = (name) => t.memberExpression(t.identifier('React'), t.identifier(name));
+
+  // Build the element type: strings for DOM tags, references for components
+  const buildType = (name) => {
+    if (t.isJSXMemberExpression(name)) {
+      const object = t.isJSXIdentifier(name.object) ? t.identifier(name.object.name) : buildType(name.object);
+      return t.memberExpression(object, t.identifier(name.property.name));
+    }
+    if (t.isJSXNamespacedName(name)) {
+      return t.stringLiteral(`${name.namespace.name}:${name.name.name}`);
+    }
+    return t.react.isCompatTag(name.name) ? t.stringLiteral(name.name) : t.identifier(name.name);
+  };
+
+  const attributeName = (attribute) => (t.isJSXNamespacedName(attribute.name)
+    ? `${attribute.name.namespace.name}:${attribute.name.name.name}`
+    : attribute.name.name);
+
+  // Attribute strings hold decoded entities and may span lines, so their raw text cannot be reused
+  const attributeValue = (attribute) => {
+    const { value } = attribute;
+    if (!value) {
+      return t.booleanLiteral(true);
+    }
+    if (t.isJSXExpressionContainer(value)) {
+      return value.expression;
+    }
+    if (t.isStringLiteral(value)) {
+      return t.stringLiteral(value.value.replace(/\n\s+/g, ' '));
+    }
+    return value;
+  };
+
+  // Build the properties of the props object from JSX attributes
+  const buildProperties = (attributes) => attributes.map(attribute => {
+    if (t.isJSXSpreadAttribute(attribute)) {
+      return t.spreadElement(attribute.argument);
+    }
+
+    const name = attributeName(attribute);
+    const key = t.isValidIdentifier(name) ? t.identifier(name) : t.stringLiteral(name);
+    return t.objectProperty(key, attributeValue(attribute));
+  });
+
+  const buildClassic = (type, attributes, children) => t.callExpression(reactMember('createElement'), [
+    type,
+    attributes.length > 0 ? t.objectExpression(buildProperties(attributes)) : t.nullLiteral(),
+    ...children
+  ]);
+
+  const buildAutomatic = (type, attributes, children) => {
+    const keyIndex = attributes.findIndex(attribute => t.isJSXAttribute(attribute) && attributeName(attribute) === 'key');
+
+    // A key after a spread has to override the spread, which only createElement does
+    if (keyIndex !== -1 && attributes.slice(0, keyIndex).some(attribute => t.isJSXSpreadAttribute(attribute))) {
+      return t.callExpression(helper('createElement', 'react'), [
+        type,
+        t.objectExpression(buildProperties(attributes)),
+        ...children
+      ]);
+    }
+
+    const properties = buildProperties(attributes.filter((attribute, index) => index !== keyIndex));
+    if (children.length === 1) {
+      properties.push(t.objectProperty(t.identifier('children'), children[0]));
+    } else if (children.length > 1) {
+      properties.push(t.objectProperty(t.identifier('children'), t.arrayExpression(children)));
+    }
+
+    const args = [type, t.objectExpression(properties)];
+    if (keyIndex !== -1) {
+      args.push(attributeValue(attributes[keyIndex]));
+    }
+
+    return t.callExpression(helper(children.length > 1 ? 'jsxs' : 'jsx', 'react/jsx-runtime'), args);
+  };
+
+  const build = runtime === 'automatic' ? buildAutomatic : buildClassic;
+
+  traverseAst(ast, {
+    Program: {
+      enter(path) {
+        programPath = path;
+      },
+
+      // Import the automatic runtime helpers that were used
+      exit(path) {
+        const sources = [...new Set([...helpers.values()].map(entry => entry.source))];
+        const declarations = sources.map(source => {
+          const used = [...helpers.values()].filter(entry => entry.source === source);
+
+          if (path.node.sourceType === 'module') {
+            return t.importDeclaration(
+              used.map(entry => t.importSpecifier(t.cloneNode(entry.id), t.identifier(entry.name))),
+              t.stringLiteral(source)
+            );
+          }
+
+          return t.variableDeclaration('const', [t.variableDeclarator(
+            t.objectPattern(used.map(entry => t.objectProperty(t.identifier(entry.name), t.cloneNode(entry.id)))),
+            t.callExpression(t.identifier('require'), [t.stringLiteral(source)])
+          )]);
+        });
+
+        if (declarations.length > 0) {
+          path.unshiftContainer('body', declarations);
+        }
+      }
+    },
+
+    JSXElement: {
+      exit(path) {
+        const { openingElement } = path.node;
+
+        path.replaceWith(build(
+          buildType(openingElement.name),
+          openingElement.attributes,
+          t.react.buildChildren(path.node)
+        ));
+        elementsConverted++;
+      }
+    },
+
+    JSXFragment: {
+      exit(path) {
+        const type = runtime === 'automatic' ? helper('Fragment', 'react/jsx-runtime') : reactMember('Fragment');
+
+        path.replaceWith(build(type, [], t.react.buildChildren(path.node)));
+        elementsConverted++;
+      }
+    }
+  });
+
+  return {
+    ...printWithSourceMap(ast, code),
+    stats: {
+      runtime,
+      elementsConverted
+    }
+  };
+}
+
+/**
+ * Rename short variable names to more descriptive ones
+ *
+ * Each binding is renamed on its own, so shadowed variables, property names and
+ * string contents are left alone. `stats.renameMap` lists every rename made as
+ * `{ from, to, line, references }`.
+ *
+ * @param {string} code - Code with short variable names
+ * @param {Object} options - Renaming options
+ * @param {Object} ast - Parsed AST of the code
+ * @returns {Object} Code with renamed variables and metadata
+ */
+export function renameVariables(code, options = {}, ast = parseCode(code)) {
+  const stats = renamePass(ast, options);
+
+  return {
+    ...printWithSourceMap(ast, code),
+    stats
+  };
+}
+
+/**
+ * Common short variable names and their more descriptive replacements based on common usage
+ */
+const COMMON_VARIABLE_MAP = {
+  a: 'value',
+  b: 'input',
+  c: 'result',
+  d: 'data',
+  e: 'error',
+  f: 'func',
+  g: 'group',
+  h: 'handler',
+  i: 'index',
+  j: 'counter',
+  k: 'key',
+  l: 'length',
+  m: 'map',
+  n: 'number',
+  o: 'object',
+  p: 'param',
+  q: 'queue',
+  r: 'response',
+  s: 'string',
+  t: 'temp',
+  u: 'user',
+  v: 'value',
+  w: 'width',
+  x: 'xCoord',
+  y: 'yCoord',
+  z: 'zone'
+};
+
+/**
+ * Built-in names to preserve
+ */
+const BUILTIN_NAMES = [
+  'window', 'document', 'console', 'Math', 'Array', 'Object', 'String', 'Number', 'Boolean', 'Date',
+  'RegExp', 'Map', 'Set', 'Promise', 'JSON', 'Error', 'Function', 'parseInt', 'parseFloat', 'isNaN',
+  'setTimeout', 'setInterval', 'clearTimeout', 'clearInterval', 'fetch', 'XMLHttpRequest'
+];
+
+/**
+ * Common loop variables that might be intentionally short
+ */
+const COMMON_LOOP_VARS = ['i', 'j', 'k', 'x', 'y', 'n'];
+
+/**
+ * Descriptive names for the kind of value a variable is initialized with
+ */
+const INIT_CONTEXT_NAMES = {
+  date: 'date',
+  element: 'element',
+  array: 'items',
+  object: 'data',
+  callback: 'callback',
+  number: 'value',
+  text: 'text',
+  flag: 'isEnabled'
+};
+
+/**
+ * Binding kinds that renameVariables is allowed to rename
+ */
+const RENAMABLE_KINDS = ['var', 'let', 'const', 'param'];
+
+/**
+ * Classify the value a variable is initialized with
+ *
+ * @param {Object} init - Initializer expression
+ * @returns {string|null} Key of INIT_CONTEXT_NAMES, or null when unknown
+ */
+function classifyInit(init) {
+  if (t.isNewExpression(init) && t.isIdentifier(init.callee, { name: 'Date' })) {
+    return 'date';
+  }
+  if (t.isCallExpression(init) && t.isMemberExpression(init.callee) &&
+      ['getElementById', 'querySelector'].includes(init.callee.property.name)) {
+    return 'element';
+  }
+  if (t.isArrayExpression(init)) {
+    return 'array';
+  }
+  if (t.isObjectExpression(init)) {
+    return 'object';
+  }
+  if (t.isFunction(init)) {
+    return 'callback';
+  }
+  if (t.isNumericLiteral(init)) {
+    return 'number';
+  }
+  if (t.isStringLiteral(init) || t.isTemplateLiteral(init)) {
+    return 'text';
+  }
+  if (t.isBooleanLiteral(init)) {
+    return 'flag';
+  }
+  return null;
+}
+
+/**
+ * Suggest a name for a function parameter based on the function it belongs to
+ *
+ * @param {Object} binding - Babel binding of the parameter
+ * @returns {string|null} Suggested name, or null without context
+ */
+function suggestParamName(binding) {
+  const fnPath = binding.path.parentPath;
+  const index = binding.path.key;
+
+  if (!fnPath || !fnPath.isFunction() || binding.path.listKey !== 'params') {
+    return null;
+  }
+
+  // Callbacks of array operations
+  const arrayMethods = ['map', 'filter', 'reduce', 'forEach', 'find', 'some', 'every'];
+  const call = fnPath.parentPath;
+  if (index === 0 && call.isCallExpression() && fnPath.listKey === 'arguments' && fnPath.key === 0 &&
+      t.isMemberExpression(call.node.callee) && arrayMethods.includes(call.node.callee.property.name)) {
+    return call.node.callee.property.name === 'reduce' ? 'acc' : 'item';
+  }
+
+  // Function names that indicate the purpose of their parameters
+  if (fnPath.isFunctionDeclaration() && fnPath.node.id) {
+    const funcName = fnPath.node.id.name;
+
+    if (funcName.includes('get') || funcName.includes('fetch')) {
+      return index === 0 ? 'id' : null;
+    }
+    if (funcName.includes('calc') || funcName.includes('compute')) {
+      return index === 0 ? 'value' : 'factor';
+    }
+    if (funcName.includes('set') || funcName.includes('update')) {
+      return index === 0 ? 'newValue' : null;
+    }
+  }
+
+  // Anonymous functions assigned to variables
+  if (fnPath.parentPath.isVariableDeclarator() && fnPath.key === 'init') {
+    return index === 0 ? 'param' : `param${index + 1}`;
+  }
+
+  return null;
+}
+
+/**
+ * Suggest a name for a variable based on its declaration and usage
+ *
+ * @param {Object} binding - Babel binding of the variable
+ * @returns {string|null} Suggested name, or null without context
+ */
+function suggestVariableName(binding) {
+  const name = binding.identifier.name;
+  const declarator = binding.path;
+
+  // Loop variables; if we already have an 'i', name others more specifically
+  if (declarator.isVariableDeclarator() && declarator.parentPath.parentPath.isForStatement() &&
+      declarator.parentPath.key === 'init') {
+    return name === 'i' ? 'index' : `${name}Index`;
+  }
+
+  // Variables that control a while loop or index a switch mapping
+  for (const reference of binding.referencePaths) {
+    if (reference.find(path => path.key === 'test' && path.parentPath.isWhileStatement())) {
+      return 'counter';
+    }
+    if (reference.parentPath.isMemberExpression({ object: reference.node, computed: true }) &&
+        reference.parentPath.parentPath.isSwitchStatement() && reference.parentPath.key === 'discriminant') {
+      return 'mappings';
+    }
+  }
+
+  // Context from the initializer
+  const context = declarator.isVariableDeclarator() && declarator.node.init && classifyInit(declarator.node.init);
+  return context ? INIT_CONTEXT_NAMES[context] : null;
+}
+
+/**
+ * Check whether a binding can take a new name without capturing other references
+ *
+ * @param {Object} binding - Babel binding to rename
+ * @param {string} newName - Candidate name
+ * @returns {boolean} True when the name is free everywhere the binding is visible
+ */
+function isNameAvailable(binding, newName) {
+  if (!t.isValidIdentifier(newName) || binding.scope.getProgramParent().hasGlobal(newName)) {
+    return false;
+  }
+
+  const scopes = [
+    binding.scope,
+    ...binding.referencePaths.map(reference => reference.scope),
+    ...binding.constantViolations.map(violation => violation.scope)
+  ];
+
+  return scopes.every(scope => !scope.hasBinding(newName));
+}
+
+/**
+ * Record the scopes a direct eval call can reach
+ *
+ * A direct eval can read and write any binding of the scopes around it by name,
+ * so passes must leave the bindings of those scopes alone.
+ *
+ * @param {Object} path - Path of a call expression
+ * @param {Set} evalScopes - Set that receives the affected scopes
+ */
+function markEvalScopes(path, evalScopes) {
+  if (!path.get('callee').isIdentifier({ name: 'eval' }) || path.scope.hasBinding('eval', true)) {
+    return;
+  }
+
+  for (let scope = path.scope; scope; scope = scope.parent) {
+    evalScopes.add(scope);
+  }
+}
+
+/**
+ * Rename short variables in an AST, one binding at a time
+ *
+ * @param {Object} ast - AST to rename variables in
+ * @param {Object} options - Renaming options
+ * @returns {Object} Renaming statistics
+ */
+function renamePass(ast, options = {}) {
+  const { preserveBuiltins = true } = options;
+
+  // Collect every binding together with the scope tree it belongs to
+  const bindings = new Set();
+  const evalScopes = new Set();
+
+  traverseAst(ast, {
+    Scopable(path) {
+      Object.values(path.scope.bindings).forEach(binding => bindings.add(binding));
+    },
+
+    CallExpression(path) {
+      markEvalScopes(path, evalScopes);
+    }
+  });
+
+  const renameMap = [];
+  let replacements = 0;
+
+  bindings.forEach(binding => {
+    const name = binding.identifier.name;
+
+    if (!RENAMABLE_KINDS.includes(binding.kind) || evalScopes.has(binding.scope)) {
+      return;
+    }
+
+    // Skip if it's already descriptive (longer than 2 chars)
+    if (name.length > 2) {
+      return;
+    }
+
+    // Skip if it's a built-in and we want to preserve those
+    if (preserveBuiltins && BUILTIN_NAMES.includes(name)) {
+      return;
+    }
+
+    // Exported names are part of the module interface
+    if (binding.path.findParent(parent => parent.isExportDeclaration())) {
+      return;
+    }
+
+    const suggested = binding.kind === 'param' ? suggestParamName(binding) : suggestVariableName(binding);
+
+    // Skip common loop variables if they appear in typical loop contexts
+    if (COMMON_LOOP_VARS.includes(name) && suggested === 'index') {
+      return;
+    }
+
+    // Fall back to the common variable map, or make 2-letter names more descriptive
+    const baseName = suggested || COMMON_VARIABLE_MAP[name] || `${name}Value`;
+
+    // Give colliding bindings a numbered name instead of merging them
+    let newName = baseName;
+    for (let suffix = 2; !isNameAvailable(binding, newName); suffix++) {
+      newName = `${baseName}${suffix}`;
+    }
+
+    const references = binding.referencePaths.length + binding.constantViolations.length;
+    const line = binding.identifier.loc ? binding.identifier.loc.start.line : null;
+
+    binding.scope.rename(name, newName);
+
+    renameMap.push({ from: name, to: newName, line, references });
+    replacements += references + 1;
+  });
+
+  return {
+    variablesRenamed: renameMap.length,
+    totalReplacements: replacements,
+    renameMap
+  };
+}
+
+/**
+ * Flatten nested control flow structures
+ *
+ * @param {string} code - Code with nested control flow
+ * @param {Object} options - Flattening options
+ * @param {Object} ast - Parsed AST of the code
+ * @returns {Object} Code with flattened control flow and metadata
+ */
+export function flattenControlFlow(code, options = {}, ast = parseCode(code)) {
+  const stats = controlFlowPass(ast, options);
+
+  return {
+    ...printWithSourceMap(ast, code),
+    stats
+  };
+}
+
+/**
+ * Get the only statement of a block, or the statement itself
+ *
+ * @param {Object} node - Statement node
+ * @returns {Object|null} The single statement, or null for multi-statement blocks
+ */
+function soleStatement(node) {
+  if (t.isBlockStatement(node)) {
+    return node.body.length === 1 ? node.body[0] : null;
+  }
+  return node;
+}
+
+/**
+ * Read the case order of a control-flow dispatcher from its `'3|1|0|2'.split('|')` initializer
+ *
+ * @param {Object} init - Initializer expression
+ * @returns {string[]|null} Case keys in execution order, or null for other initializers
+ */
+function readDispatchOrder(init) {
+  if (!t.isCallExpression(init) || !t.isMemberExpression(init.callee) ||
+      !t.isStringLiteral(init.callee.object) || init.arguments.length !== 1 ||
+      !t.isStringLiteral(init.arguments[0])) {
+    return null;
+  }
+
+  const { property, computed } = init.callee;
+  const isSplit = computed ? t.isStringLiteral(property, { value: 'split' }) : t.isIdentifier(property, { name: 'split' });
+
+  return isSplit ? init.callee.object.value.split(init.arguments[0].value) : null;
+}
+
+/**
+ * Replace a flattened `while (true) { switch (order[i++]) { ... } break; }` dispatcher
+ * with its cases in execution order
+ *
+ * @param {Object} path - Path of a while or for loop
+ * @returns {boolean} True when the dispatcher was recovered
+ */
+function unflattenDispatcher(path) {
+  const { node } = path;
+  const isEndless = path.isForStatement()
+    ? !node.init && !node.update && (!node.test || path.get('test').evaluateTruthy() === true)
+    : path.get('test').evaluateTruthy() === true;
+
+  if (!isEndless || path.parentPath.isLabeledStatement() || !t.isBlockStatement(node.body)) {
+    return false;
+  }
+
+  const [switchStatement, breakStatement, ...rest] = node.body.body;
+  if (!t.isSwitchStatement(switchStatement) || !t.isBreakStatement(breakStatement) ||
+      breakStatement.label || rest.length > 0) {
+    return false;
+  }
+
+  // The discriminant must be order[index++]
+  const { discriminant, cases } = switchStatement;
+  if (!t.isMemberExpression(discriminant) || !discriminant.computed || !t.isIdentifier(discriminant.object) ||
+      !t.isUpdateExpression(discriminant.property, { operator: '++', prefix: false }) ||
+      !t.isIdentifier(discriminant.property.argument)) {
+    return false;
+  }
+
+  const orderBinding = path.scope.getBinding(discriminant.object.name);
+  const indexBinding = path.scope.getBinding(discriminant.property.argument.name);
+  if (!orderBinding || !indexBinding || orderBinding === indexBinding ||
+      !orderBinding.path.isVariableDeclarator() || !indexBinding.path.isVariableDeclarator()) {
+    return false;
+  }
+
+  // Both variables must exist only to drive this dispatcher
+  const order = orderBinding.constant && orderBinding.references === 1 && readDispatchOrder(orderBinding.path.node.init);
+  const start = indexBinding.path.node.init;
+  if (!order || indexBinding.references !== 1 || indexBinding.constantViolations.length !== 1 ||
+      !t.isNumericLiteral(start) || !Number.isInteger(start.value)) {
+    return false;
+  }
+
+  // Cases are matched with ===, so only string keys can be taken
+  if (!cases.every(switchCase => t.isStringLiteral(switchCase.test))) {
+    return false;
+  }
+
+  // Unlabeled jumps inside a case may only leave through its final continue
+  const loopNode = node;
+  let escapes = false;
+  path.get('body.body.0').traverse({
+    'BreakStatement|ContinueStatement'(jumpPath) {
+      if (jumpPath.node.label) {
+        return;
+      }
+      const target = jumpPath.findParent(parent => parent.isLoop() ||
+        (jumpPath.isBreakStatement() && parent.isSwitchStatement()));
+      if (target.node !== loopNode && target.node !== switchStatement) {
+        return;
+      }
+      const consequent = jumpPath.parentPath.node.consequent;
+      const isFinalContinue = jumpPath.isContinueStatement() && jumpPath.parentPath.isSwitchCase() &&
+        consequent[consequent.length - 1] === jumpPath.node;
+      if (!isFinalContinue) {
+        escapes = true;
+      }
+    },
+    Function(functionPath) {
+      functionPath.skip();
+    }
+  });
+
+  if (escapes) {
+    return false;
+  }
+
+  // Follow the order, falling through to the next case where a case does not continue
+  const statements = [];
+  for (const key of order.slice(start.value)) {
+    let caseIndex = cases.findIndex(switchCase => switchCase.test.value === key);
+
+    // An unknown key matches no case, so the loop reaches its break
+    if (caseIndex === -1) {
+      break;
+    }
+
+    let next = null;
+    while (caseIndex < cases.length && next === null) {
+      const consequent = cases[caseIndex].consequent;
+      const last = consequent[consequent.length - 1];
+
+      if (t.isContinueStatement(last)) {
+        statements.push(...consequent.slice(0, -1).map(statement => t.cloneNode(statement, true)));
+        next = 'continue';
+      } else {
+        statements.push(...consequent.map(statement => t.cloneNode(statement, true)));
+        if (t.isReturnStatement(last) || t.isThrowStatement(last)) {
+          next = 'exit';
+        }
+        caseIndex++;
+      }
+    }
+
+    if (next !== 'continue') {
+      break;
+    }
+  }
+
+  // Block-scoped declarations shared by all cases stay in a block of their own
+  const declaresBlockScoped = statements.some(statement =>
+    t.isClassDeclaration(statement) || (t.isVariableDeclaration(statement) && statement.kind !== 'var'));
+
+  orderBinding.path.remove();
+  indexBinding.path.remove();
+
+  if (declaresBlockScoped || !path.inList) {
+    path.replaceWith(t.blockStatement(statements));
+  } else {
+    path.replaceWithMultiple(statements);
+  }
+
+  return true;
+}
+
+/**
+ * Flatten nested control flow in an AST
+ *
+ * @param {Object} ast - AST to flatten
+ * @param {Object} options - Flattening options
+ * @returns {Object} Flattening statistics
+ */
+function controlFlowPass(ast, options = {}) {
   const { maxDepth = 2 } = options;
 
-  let flattened = code;
-  let transformations = {
-    nestedIfs: 0,
-    nestedLoops: 0,
-    whileTrue: 0,
-    switchMappings: 0
+  const transformations = {
+    dispatchersRecovered: 0,
+    nestedIfs: 0,
+    nestedLoops: 0,
+    whileTrue: 0,
+    switchMappings: 0
+  };
+
+  // 0. Restore the statement order of switch dispatchers before the loops are rewritten
+  traverseAst(ast, {
+    'WhileStatement|ForStatement'(path) {
+      if (unflattenDispatcher(path)) {
+        transformations.dispatchersRecovered++;
+      }
+    }
+  });
+
+  // Depth of if statements nested directly inside each other
+  const ifDepth = (node) => {
+    const inner = soleStatement(node.consequent);
+    return t.isIfStatement(inner) ? 1 + ifDepth(inner) : 1;
+  };
+
+  // Whether a switch case contains a `break` for the switch other than its final statement
+  const hasInnerBreak = (consequent) => {
+    let found = false;
+    const body = t.isBreakStatement(consequent[consequent.length - 1]) ? consequent.slice(0, -1) : consequent;
+
+    t.traverseFast(t.blockStatement(body), node => {
+      if (t.isBreakStatement(node) && !node.label) {
+        found = true;
+      }
+    });
+    return found;
+  };
+
+  traverseAst(ast, {
+    // 1. Merge nested if statements: if (a) { if (b) X else Y } else Z
+    //    becomes if (a && b) X else if (a) Y else Z
+    IfStatement: {
+      exit(path) {
+        const { test, consequent, alternate } = path.node;
+        const inner = soleStatement(consequent);
+
+        if (!t.isIfStatement(inner) || ifDepth(path.node) <= maxDepth) {
+          return;
+        }
+
+        // Without an inner else, an outer else would wrongly run when only b fails
+        if (!inner.alternate && alternate) {
+          return;
+        }
+
+        // The outer test is repeated in the else-if, so it must be free of side effects
+        if (inner.alternate && !path.scope.isPure(test)) {
+          return;
+        }
+
+        const merged = t.ifStatement(
+          t.logicalExpression('&&', test, inner.test),
+          inner.consequent,
+          inner.alternate
+            ? t.ifStatement(t.cloneNode(test, true), inner.alternate, alternate)
+            : null
+        );
+
+        path.replaceWith(merged);
+        transformations.nestedIfs++;
+      }
+    },
+
+    // 2. Handle while(true) loops that start with a conditional break
+    WhileStatement(path) {
+      const { test, body } = path.node;
+      const isInfinite = t.isBooleanLiteral(test, { value: true }) ||
+        (t.isNumericLiteral(test) && test.value !== 0);
+
+      if (!isInfinite || !t.isBlockStatement(body) || body.body.length === 0) {
+        return;
+      }
+
+      const [first, ...rest] = body.body;
+      if (!t.isIfStatement(first) || first.alternate) {
+        return;
+      }
+
+      const breakStatement = soleStatement(first.consequent);
+      if (!t.isBreakStatement(breakStatement) || breakStatement.label) {
+        return;
+      }
+
+      const negatedCondition = t.isUnaryExpression(first.test, { operator: '!' })
+        ? first.test.argument
+        : t.unaryExpression('!', first.test);
+
+      path.replaceWith(t.whileStatement(negatedCondition, t.blockStatement(rest)));
+      transformations.whileTrue++;
+    },
+
+    // 3. Handle switch statements with mappings
+    SwitchStatement(path) {
+      const { discriminant, cases } = path.node;
+
+      if (!t.isMemberExpression(discriminant) || !discriminant.computed ||
+          !path.scope.isPure(discriminant.property) || cases.length === 0) {
+        return;
+      }
+
+      // Every case must end in a break (or be the last one) so there is no fall-through
+      const convertible = cases.every((switchCase, index) => {
+        const last = switchCase.consequent[switchCase.consequent.length - 1];
+        const isLast = index === cases.length - 1;
+        const isDefault = switchCase.test === null;
+
+        return switchCase.consequent.length > 0 &&
+          (t.isBreakStatement(last) && !last.label || isLast) &&
+          !hasInnerBreak(switchCase.consequent) &&
+          (!isDefault || isLast);
+      });
+
+      if (!convertible) {
+        return;
+      }
+
+      // Build a simplified if-else structure, starting from the last case
+      let ifElseStructure = null;
+
+      for (let index = cases.length - 1; index >= 0; index--) {
+        const switchCase = cases[index];
+        const body = switchCase.consequent.filter(statement => !t.isBreakStatement(statement));
+        const block = t.blockStatement(body);
+
+        if (switchCase.test === null) {
+          ifElseStructure = block;
+        } else {
+          ifElseStructure = t.ifStatement(
+            t.binaryExpression('===', t.cloneNode(discriminant, true), switchCase.test),
+            block,
+            ifElseStructure
+          );
+        }
+      }
+
+      path.replaceWith(ifElseStructure);
+      transformations.switchMappings++;
+    }
+  });
+
+  const totalTransformations =
+    transformations.dispatchersRecovered +
+    transformations.nestedIfs +
+    transformations.nestedLoops +
+    transformations.whileTrue +
+    transformations.switchMappings;
+
+  return {
+    ...transformations,
+    totalTransformations
+  };
+}
+
+/**
+ * Split comma sequences, short-circuit statements and ternary statements into plain statements
+ *
+ * @param {string} code - Code with packed statements
+ * @param {Object} options - Expansion options
+ * @param {Object} ast - Parsed AST of the code
+ * @returns {Object} Expanded code and metadata
+ */
+export function expandStatements(code, options = {}, ast = parseCode(code)) {
+  const stats = expandStatementsPass(ast, options);
+
+  return {
+    ...printWithSourceMap(ast, code),
+    stats
+  };
+}
+
+/**
+ * Wrap an expression in a block of one expression statement
+ *
+ * @param {Object} expression - Expression node
+ * @returns {Object} BlockStatement node
+ */
+function expressionBlock(expression) {
+  return t.blockStatement([t.expressionStatement(expression)]);
+}
+
+/**
+ * Negate a test expression, removing a leading `!` instead of adding a second one
+ *
+ * @param {Object} node - Test expression
+ * @returns {Object} Expression with the opposite truthiness
+ */
+function negateTest(node) {
+  return t.isUnaryExpression(node, { operator: '!' }) ? node.argument : t.unaryExpression('!', node);
+}
+
+/**
+ * Expand packed statements in an AST
+ *
+ * @param {Object} ast - AST to expand
+ * @param {Object} options - Expansion options
+ * @param {boolean} options.sequences - Split comma sequences into statements
+ * @param {boolean} options.shortCircuits - Turn `a && b()` and `a || b()` statements into if statements
+ * @param {boolean} options.ternaries - Turn ternary statements into if/else chains
+ * @returns {Object} Expansion statistics
+ */
+function expandStatementsPass(ast, options = {}) {
+  const { sequences = true, shortCircuits = true, ternaries = true } = options;
+
+  const expansions = {
+    sequencesSplit: 0,
+    shortCircuitsExpanded: 0,
+    ternariesExpanded: 0
+  };
+
+  // Replace a statement with several, adding a block where only one statement fits
+  const replaceWithStatements = (path, statements) => {
+    if (Array.isArray(path.container)) {
+      path.replaceWithMultiple(statements);
+    } else {
+      path.replaceWith(t.blockStatement(statements));
+    }
+  };
+
+  // Move all but the last expression of a sequence in front of the statement that evaluates it
+  const hoistSequence = (statementPath, sequencePath) => {
+    const expressions = sequencePath.node.expressions;
+    const hoisted = expressions.slice(0, -1).map(expression => t.expressionStatement(expression));
+    sequencePath.replaceWith(expressions[expressions.length - 1]);
+
+    // Inserting keeps the statement's path, so its own children are still visited
+    if (Array.isArray(statementPath.container)) {
+      statementPath.insertBefore(hoisted);
+    } else {
+      statementPath.replaceWith(t.blockStatement([...hoisted, statementPath.node]));
+    }
+    expansions.sequencesSplit++;
+  };
+
+  // Ternary chains nest in their else branches, which become else-if clauses
+  const conditionalToIf = (node, scope) => {
+    const consequentPure = scope.isPure(node.consequent);
+    const alternatePure = scope.isPure(node.alternate);
+
+    // A branch without side effects needs no statement
+    if (alternatePure) {
+      return t.ifStatement(node.test, expressionBlock(node.consequent));
+    }
+    if (consequentPure) {
+      return t.ifStatement(negateTest(node.test), expressionBlock(node.alternate));
+    }
+
+    const alternate = t.isConditionalExpression(node.alternate)
+      ? conditionalToIf(node.alternate, scope)
+      : expressionBlock(node.alternate);
+    return t.ifStatement(node.test, expressionBlock(node.consequent), alternate);
+  };
+
+  traverseAst(ast, {
+    ExpressionStatement(path) {
+      const expression = path.get('expression');
+
+      // 1. a(), b(), c(); becomes three statements
+      if (sequences && expression.isSequenceExpression()) {
+        replaceWithStatements(path, expression.node.expressions.map(node => t.expressionStatement(node)));
+        expansions.sequencesSplit++;
+        return;
+      }
+
+      // 2. a && b(); becomes if (a) { b(); }, and a || b(); becomes if (!a) { b(); }
+      if (shortCircuits && expression.isLogicalExpression() && expression.node.operator !== '??') {
+        const { operator, left, right } = expression.node;
+        path.replaceWith(t.ifStatement(operator === '&&' ? left : negateTest(left), expressionBlock(right)));
+        expansions.shortCircuitsExpanded++;
+        return;
+      }
+
+      // 3. a ? b() : c ? d() : e(); becomes if (a) { b(); } else if (c) { d(); } else { e(); }
+      if (ternaries && expression.isConditionalExpression()) {
+        const { consequent, alternate } = expression.node;
+        if (!path.scope.isPure(consequent) || !path.scope.isPure(alternate)) {
+          path.replaceWith(conditionalToIf(expression.node, path.scope));
+          expansions.ternariesExpanded++;
+        }
+      }
+    },
+
+    // 4. return a(), b; becomes a(); return b; and likewise for throw, if and switch
+    'ReturnStatement|ThrowStatement'(path) {
+      if (sequences && path.get('argument').isSequenceExpression()) {
+        hoistSequence(path, path.get('argument'));
+      }
+    },
+
+    'IfStatement|SwitchStatement'(path) {
+      const test = path.get(path.isIfStatement() ? 'test' : 'discriminant');
+      if (sequences && test.isSequenceExpression()) {
+        hoistSequence(path, test);
+      }
+    },
+
+    // 5. var x = (a(), b); becomes a(); var x = b; for the first declarator, which runs first
+    VariableDeclaration(path) {
+      const first = path.get('declarations.0');
+      if (!sequences || !first || !first.get('init').isSequenceExpression() ||
+          path.parentPath.isFor() || path.parentPath.isExportDeclaration()) {
+        return;
+      }
+      hoistSequence(path, first.get('init'));
+    },
+
+    // 6. () => (a(), b) becomes () => { a(); return b; }
+    ArrowFunctionExpression(path) {
+      const body = path.get('body');
+      if (sequences && body.isSequenceExpression()) {
+        body.replaceWith(t.blockStatement([t.returnStatement(body.node)]));
+      }
+    }
+  });
+
+  return expansions;
+}
+
+/**
+ * Remove unreachable (dead) code
+ *
+ * @param {string} code - Code with dead code blocks
+ * @param {Object} options - Removal options
+ * @param {Object} ast - Parsed AST of the code
+ * @returns {Object} Code with dead code removed and metadata; `stats.removed` lists
+ *   every removal with its line number
+ */
+export function removeDeadCode(code, options = {}, ast = parseCode(code)) {
+  const stats = deadCodePass(ast, options);
+
+  return {
+    ...printWithSourceMap(ast, code),
+    stats
+  };
+}
+
+/**
+ * Check whether a test expression is a literal that is always falsy
+ *
+ * @param {Object} node - Test expression
+ * @returns {boolean} True for `false` and `0`
+ */
+function isFalsyLiteral(node) {
+  return t.isBooleanLiteral(node, { value: false }) || t.isNumericLiteral(node, { value: 0 });
+}
+
+/**
+ * Comparison operators that evaluatePredicate can apply to static operands
+ */
+const COMPARISONS = {
+  '===': (left, right) => left === right,
+  '!==': (left, right) => left !== right,
+  '==': (left, right) => left == right,
+  '!=': (left, right) => left != right,
+  '<': (left, right) => left < right,
+  '>': (left, right) => left > right,
+  '<=': (left, right) => left <= right,
+  '>=': (left, right) => left >= right
+};
+
+/**
+ * Get the property name of a member access with a constant key
+ *
+ * @param {Object} node - MemberExpression node
+ * @returns {string|null} Property name, or null for dynamic keys
+ */
+function memberKey(node) {
+  if (node.computed) {
+    return t.isStringLiteral(node.property) ? node.property.value : null;
+  }
+  return t.isIdentifier(node.property) ? node.property.name : null;
+}
+
+/**
+ * Map the properties of a constant object-literal table to their values
+ *
+ * The binding must be a constant object literal that is only ever read through
+ * plain member accesses, so none of its properties can change.
+ *
+ * @param {Object} binding - Babel binding of the table
+ * @param {boolean} allowCalls - Whether members may also be called as methods
+ * @returns {Map|null} Property names mapped to value paths, or null when the binding is not such a table
+ */
+function constantTable(binding, allowCalls = false) {
+  if (!binding || !binding.constant || !binding.path.isVariableDeclarator() ||
+      !t.isObjectExpression(binding.path.node.init)) {
+    return null;
+  }
+
+  const isPlainRead = (reference) => {
+    const member = reference.parentPath;
+    return member.isMemberExpression({ object: reference.node }) && memberKey(member.node) !== null &&
+      !(member.parentPath.isAssignmentExpression() && member.key === 'left') &&
+      !member.parentPath.isUpdateExpression() &&
+      !member.parentPath.isUnaryExpression({ operator: 'delete' }) &&
+      (allowCalls || !(member.parentPath.isCallExpression() && member.key === 'callee'));
+  };
+
+  if (!binding.referencePaths.every(isPlainRead)) {
+    return null;
+  }
+
+  // Later duplicates win, just like at runtime
+  const table = new Map();
+  for (const propertyPath of binding.path.get('init.properties')) {
+    const { key, computed } = propertyPath.node;
+    const name = t.isStringLiteral(key) ? key.value : !computed && t.isIdentifier(key) ? key.name : null;
+
+    if (!propertyPath.isObjectProperty() || name === null) {
+      return null;
+    }
+    table.set(name, propertyPath.get('value'));
+  }
+
+  return table;
+}
+
+/**
+ * Resolve a read of a constant-keyed property such as `table['key']` to the property's value
+ *
+ * @param {Object} path - Path of an expression
+ * @returns {Object|null} Path of the property value, or null when it cannot be resolved
+ */
+function resolveTableMember(path) {
+  if (!path.isMemberExpression() || !t.isIdentifier(path.node.object) || memberKey(path.node) === null) {
+    return null;
+  }
+
+  const binding = path.scope.getBinding(path.node.object.name);
+  const table = constantTable(binding);
+
+  if (!table || path.node.start < binding.path.node.end) {
+    return null;
+  }
+
+  return table.get(memberKey(path.node)) || null;
+}
+
+/**
+ * Evaluate an expression statically, looking through primitive members of constant-keyed object tables
+ *
+ * @param {Object} path - Path of the expression
+ * @returns {Object} `{ confident, value }` like Babel's path.evaluate()
+ */
+function staticValue(path) {
+  // An object or array member is one shared object at runtime but a fresh copy each
+  // time it is evaluated here, so only primitive members are folded
+  const tableValue = resolveTableMember(path);
+  if (tableValue) {
+    const member = staticValue(tableValue);
+    const isPrimitive = member.value === null || (typeof member.value !== 'object' && typeof member.value !== 'function');
+    return member.confident && isPrimitive ? member : { confident: false, value: undefined };
+  }
+
+  if (path.isBinaryExpression() && COMPARISONS[path.node.operator]) {
+    const left = staticValue(path.get('left'));
+    const right = left.confident && staticValue(path.get('right'));
+    if (right && right.confident) {
+      return { confident: true, value: COMPARISONS[path.node.operator](left.value, right.value) };
+    }
+  }
+
+  if (path.isUnaryExpression({ operator: '!' })) {
+    const argument = staticValue(path.get('argument'));
+    return argument.confident ? { confident: true, value: !argument.value } : argument;
+  }
+
+  if (path.isLogicalExpression()) {
+    const left = staticValue(path.get('left'));
+    const right = left.confident && staticValue(path.get('right'));
+    if (right && right.confident) {
+      const { operator } = path.node;
+      const value = operator === '&&' ? left.value && right.value
+        : operator === '||' ? left.value || right.value
+          : left.value ?? right.value;
+      return { confident: true, value };
+    }
+  }
+
+  const { confident, value } = path.evaluate();
+  return { confident, value };
+}
+
+/**
+ * Decide a branch condition statically
+ *
+ * @param {Object} path - Path of the test expression
+ * @returns {boolean|null} The truthiness of the test, or null when it depends on runtime values
+ */
+function evaluatePredicate(path) {
+  const { confident, value } = staticValue(path);
+  return confident ? Boolean(value) : null;
+}
+
+/**
+ * Collect the `var` declarations inside a statement into one declaration
+ *
+ * Removing a statement must not remove the function-wide bindings it declares.
+ *
+ * @param {Object} path - Path of the code being removed
+ * @returns {Object|null} A `var` declaration without initializers, or null
+ */
+function hoistedDeclaration(path) {
+  const names = new Set();
+
+  const collect = (declarationPath) => {
+    if (declarationPath.node.kind === 'var') {
+      Object.keys(declarationPath.getBindingIdentifiers()).forEach(name => names.add(name));
+    }
+  };
+
+  if (path.isVariableDeclaration()) {
+    collect(path);
+  }
+
+  path.traverse({
+    Function(innerPath) {
+      innerPath.skip();
+    },
+    VariableDeclaration: collect
+  });
+
+  if (names.size === 0) {
+    return null;
+  }
+
+  return t.variableDeclaration('var', [...names].map(name => t.variableDeclarator(t.identifier(name))));
+}
+
+/**
+ * Keywords of the statements that end a statement list, for removal reports
+ */
+const EXIT_KEYWORDS = {
+  ReturnStatement: 'return',
+  ThrowStatement: 'throw',
+  BreakStatement: 'break',
+  ContinueStatement: 'continue'
+};
+
+/**
+ * Check whether a statement never completes normally, so nothing after it in
+ * the same statement list can run
+ *
+ * Loops, switches and labeled statements are assumed to complete normally.
+ *
+ * @param {Object} node - Statement node
+ * @returns {boolean} True when every path through the statement returns, throws, breaks or continues
+ */
+function completesAbruptly(node) {
+  if (!node) {
+    return false;
+  }
+
+  if (EXIT_KEYWORDS[node.type]) {
+    return true;
+  }
+
+  if (t.isBlockStatement(node)) {
+    return node.body.some(completesAbruptly);
+  }
+
+  if (t.isIfStatement(node)) {
+    return completesAbruptly(node.consequent) && completesAbruptly(node.alternate);
+  }
+
+  if (t.isTryStatement(node)) {
+    // An exception in the try block resumes in the handler
+    return completesAbruptly(node.finalizer) ||
+      (completesAbruptly(node.block) && (!node.handler || completesAbruptly(node.handler.body)));
+  }
+
+  return false;
+}
+
+/**
+ * Check whether a write to a variable is a plain `name = value;` statement
+ *
+ * @param {Object} path - Path of a constant violation of a binding
+ * @returns {boolean} True when the statement can be dropped, keeping only its value's side effects
+ */
+function isDiscardableAssignment(path) {
+  return path.isAssignmentExpression({ operator: '=' }) && path.get('left').isIdentifier() &&
+    path.parentPath.isExpressionStatement();
+}
+
+/**
+ * Remove dead code from an AST
+ *
+ * Besides branches that can never be taken, this removes statements after a
+ * return, throw, break or continue, function declarations that are never
+ * called and variables that are never read, together with the assignments to
+ * them. Initializers and assigned values with side effects are kept as
+ * expression statements.
+ *
+ * @param {Object} ast - AST to clean
+ * @param {Object} options - Removal options
+ * @param {boolean} options.removeEmptyBlocks - Whether to remove empty blocks
+ * @param {boolean} options.keepTopLevel - Whether to keep unused top-level functions and
+ *   variables; defaults to true for scripts and false for ES modules
+ * @returns {Object} Removal counts, plus `removed`: one `{ line, kind, description }` per
+ *   removal, where line is the 1-based line in the parsed code (null for generated code)
+ *   and kind is the name of the count it adds to
+ */
+function deadCodePass(ast, options = {}) {
+  // Top-level bindings of a script are globals that other scripts can use
+  const { removeEmptyBlocks = true, keepTopLevel = ast.program.sourceType === 'script' } = options;
+
+  const removals = {
+    unreachableIf: 0,
+    unreachableLoops: 0,
+    unreachableStatements: 0,
+    opaquePredicates: 0,
+    emptyBlocks: 0,
+    unusedFunctions: 0,
+    unusedVariables: 0,
+    unusedAssignments: 0
+  };
+  const removed = [];
+
+  // Count a removal and note where the removed code was
+  const report = (node, kind, description) => {
+    removals[kind]++;
+    removed.push({ line: node.loc ? node.loc.start.line : null, kind, description });
+  };
+
+  // Declarators this pass leaves behind for removed `var` declarations. Their removal was
+  // already reported with the code they came from, so dropping them later is not reported again.
+  const placeholders = new WeakSet();
+  const placeholderDeclaration = (removedPath) => {
+    const hoisted = hoistedDeclaration(removedPath);
+    if (hoisted) {
+      hoisted.loc = removedPath.node.loc;
+      hoisted.declarations.forEach(declarator => {
+        declarator.loc = removedPath.node.loc;
+        placeholders.add(declarator);
+      });
+    }
+    return hoisted;
+  };
+
+  // Replace a statement, keeping `var` declarations hoisted out of the removed part
+  const replaceStatement = (path, replacement, removedPath) => {
+    const hoisted = placeholderDeclaration(removedPath);
+    const statements = [hoisted];
+
+    // Unwrap a surviving block unless it scopes its own declarations
+    const scopesDeclarations = replacement && t.isBlockStatement(replacement) &&
+      replacement.body.some(statement => t.isDeclaration(statement) && !t.isVariableDeclaration(statement, { kind: 'var' }));
+
+    if (t.isBlockStatement(replacement) && !scopesDeclarations &&
+        (path.parentPath.isBlockStatement() || path.parentPath.isProgram())) {
+      statements.push(...replacement.body);
+    } else {
+      statements.push(replacement);
+    }
+
+    if (statements.some(Boolean)) {
+      path.replaceWithMultiple(statements.filter(Boolean));
+    } else {
+      path.remove();
+    }
+  };
+
+  traverseAst(ast, {
+    // 1. Remove if (false) { ... } and if (0) { ... } blocks, keeping any else branch
+    IfStatement(path) {
+      if (isFalsyLiteral(path.node.test)) {
+        report(path.node, 'unreachableIf', 'Branch that can never run');
+        replaceStatement(path, path.node.alternate, path.get('consequent'));
+        return;
+      }
+
+      // Opaque predicates: tests such as 'abc' === 'abc' that always go the same way
+      const taken = evaluatePredicate(path.get('test'));
+      if (taken === true) {
+        report(path.node, 'opaquePredicates', 'Condition that is always true');
+        replaceStatement(path, path.node.consequent, path.get('alternate'));
+      } else if (taken === false) {
+        report(path.node, 'opaquePredicates', 'Condition that is always false');
+        replaceStatement(path, path.node.alternate, path.get('consequent'));
+      }
+    },
+
+    ConditionalExpression(path) {
+      const taken = evaluatePredicate(path.get('test'));
+      if (taken !== null) {
+        report(path.node, 'opaquePredicates', `Conditional expression that is always ${taken}`);
+        path.replaceWith(taken ? path.node.consequent : path.node.alternate);
+      }
+    },
+
+    // 2. Remove while (false) { ... } loops
+    WhileStatement(path) {
+      if (isFalsyLiteral(path.node.test)) {
+        report(path.node, 'unreachableLoops', 'Loop that never runs');
+        replaceStatement(path, null, path);
+      } else if (evaluatePredicate(path.get('test')) === false) {
+        report(path.node, 'opaquePredicates', 'Loop whose condition is always false');
+        replaceStatement(path, null, path);
+      }
+    },
+
+    // 3. Remove for loops with false conditions, keeping their initializer
+    ForStatement(path) {
+      const { init, test } = path.node;
+      if (!test || !isFalsyLiteral(test)) {
+        return;
+      }
+
+      report(path.node, 'unreachableLoops', 'Loop that never runs');
+      const replacement = t.isExpression(init) ? t.expressionStatement(init) : init;
+      replaceStatement(path, replacement, path.get('body'));
+    },
+
+    // 4. Remove empty blocks if option is enabled
+    BlockStatement(path) {
+      if (!removeEmptyBlocks || path.node.body.length > 0 || path.node.directives.length > 0) {
+        return;
+      }
+
+      if (path.parentPath.isBlockStatement() || path.parentPath.isProgram()) {
+        report(path.node, 'emptyBlocks', 'Empty block');
+        path.remove();
+      } else if (path.parentPath.isIfStatement() && path.key === 'alternate') {
+        report(path.node, 'emptyBlocks', 'Empty else block');
+        path.parentPath.node.alternate = null;
+      }
+    },
+
+    EmptyStatement(path) {
+      if (removeEmptyBlocks && (path.parentPath.isBlockStatement() || path.parentPath.isProgram())) {
+        path.remove();
+      }
+    }
+  });
+
+  // 5. Remove the statements after one that always exits its statement list
+  traverseAst(ast, {
+    'Program|BlockStatement|SwitchCase'(path) {
+      const statements = path.get(path.isSwitchCase() ? 'consequent' : 'body');
+      const exit = statements.findIndex(statement => completesAbruptly(statement.node));
+      if (exit === -1) {
+        return;
+      }
+
+      const keyword = EXIT_KEYWORDS[statements[exit].node.type];
+      const description = `Unreachable code after ${keyword ? `\`${keyword}\`` : 'a statement that always exits'}`;
+
+      for (const statement of statements.slice(exit + 1)) {
+        // Function declarations are hoisted, so the reachable code may call them
+        const isHoistedOnly = statement.isFunctionDeclaration() ||
+          (statement.isVariableDeclaration({ kind: 'var' }) && statement.node.declarations.every(declarator => !declarator.init));
+
+        // Earlier code may refer to a block-scoped binding, which must stay declared
+        const isReferencedLexical = (statement.isClassDeclaration() ||
+          (statement.isVariableDeclaration() && statement.node.kind !== 'var')) &&
+          Object.keys(statement.getBindingIdentifiers()).some(name => statement.scope.getBinding(name)?.referenced);
+
+        if (isHoistedOnly || isReferencedLexical) {
+          continue;
+        }
+
+        report(statement.node, 'unreachableStatements', description);
+        const hoisted = placeholderDeclaration(statement);
+        if (hoisted) {
+          statement.replaceWith(hoisted);
+        } else {
+          statement.remove();
+        }
+      }
+    }
+  });
+
+  // 6. Remove unused functions and variables using scope analysis
+  const evalScopes = new Set();
+  traverseAst(ast, {
+    CallExpression(path) {
+      markEvalScopes(path, evalScopes);
+    }
+  });
+
+  // Later traversals build new scope objects, so compare the scoped nodes
+  const evalBlocks = new Set([...evalScopes].map(scope => scope.block));
+
+  // Whether a binding's scope is off limits, because eval can reach it or it holds globals to keep
+  const isProtectedScope = (scope) => evalBlocks.has(scope.block) || (keepTopLevel && scope.path.isProgram());
+
+  // Every removal can leave other bindings unused, so repeat until nothing changes
+  let removedCount;
+  do {
+    removedCount = removed.length;
+
+    traverseAst(ast, {
+      FunctionDeclaration(path) {
+        const { id } = path.node;
+        const binding = id && path.parentPath.scope.getBinding(id.name);
+        if (!binding || binding.path !== path || binding.constantViolations.length > 0 ||
+            isProtectedScope(binding.scope)) {
+          return;
+        }
+
+        // Declarations in nested blocks have legacy function-wide semantics in scripts; leave them alone
+        const isTopLevel = path.parentPath.isProgram() || path.parentPath.parentPath.isFunction();
+
+        // Calls from inside the function only happen once something else has called it
+        if (isTopLevel && binding.referencePaths.every(reference => reference.isDescendant(path))) {
+          report(path.node, 'unusedFunctions', `Function \`${id.name}\` is never called`);
+          path.remove();
+        }
+      },
+
+      VariableDeclarator(path) {
+        const { id, init } = path.node;
+        const binding = t.isIdentifier(id) && path.scope.getBinding(id.name);
+        if (!binding || binding.path !== path || binding.referenced || isProtectedScope(binding.scope)) {
+          return;
+        }
+
+        // Loop heads and exports need their declarations
+        const declaration = path.parentPath;
+        if (declaration.parentPath.isFor() || declaration.parentPath.isExportDeclaration() ||
+            !binding.constantViolations.every(isDiscardableAssignment)) {
+          return;
+        }
+
+        // Assigned values that have side effects must still be computed
+        for (const assignment of binding.constantViolations) {
+          const { right } = assignment.node;
+          report(assignment.node, 'unusedAssignments', `Assignment to \`${id.name}\`, which is never read`);
+          if (assignment.scope.isPure(right)) {
+            assignment.parentPath.remove();
+          } else {
+            assignment.replaceWith(right);
+          }
+        }
+
+        if (placeholders.has(path.node)) {
+          path.remove();
+        } else if (!init || path.scope.isPure(init)) {
+          report(path.node, 'unusedVariables', `Variable \`${id.name}\` is never read`);
+          path.remove();
+        } else if (declaration.node.declarations.length === 1) {
+          report(path.node, 'unusedVariables', `Variable \`${id.name}\` is never read; its initializer still runs`);
+          declaration.replaceWith(t.expressionStatement(init));
+        }
+      }
+    });
+  } while (removed.length > removedCount);
+
+  // In source order, generated code last
+  removed.sort((a, b) => (a.line ?? Infinity) - (b.line ?? Infinity));
+
+  return { ...removals, removed };
+}
+
+/**
+ * Fold constant expressions and normalize boolean and undefined idioms
+ *
+ * @param {string} code - Code with constant expressions
+ * @param {Object} ast - Parsed AST of the code
+ * @returns {Object} Simplified code and metadata
+ */
+export function simplifyExpressions(code, ast = parseCode(code)) {
+  const stats = simplifyPass(ast);
+
+  return {
+    ...printWithSourceMap(ast, code),
+    stats
+  };
+}
+
+/**
+ * Check whether an expression is built only from literals and operators
+ *
+ * Such expressions have no side effects and can be evaluated ahead of time.
+ *
+ * @param {Object} node - Expression node
+ * @returns {boolean} True when the expression is a constant expression
+ */
+function isConstantExpression(node) {
+  if (t.isLiteral(node) && !t.isRegExpLiteral(node) && !t.isTemplateLiteral(node)) {
+    return true;
+  }
+  if (t.isTemplateLiteral(node)) {
+    return node.expressions.every(isConstantExpression);
+  }
+  if (t.isArrayExpression(node)) {
+    return node.elements.every(element => element !== null && isConstantExpression(element));
+  }
+  if (t.isObjectExpression(node)) {
+    return node.properties.length === 0;
+  }
+  if (t.isUnaryExpression(node)) {
+    return node.operator !== 'delete' && isConstantExpression(node.argument);
+  }
+  if (t.isBinaryExpression(node) || t.isLogicalExpression(node)) {
+    return node.operator !== 'in' && node.operator !== 'instanceof' &&
+      isConstantExpression(node.left) && isConstantExpression(node.right);
+  }
+  if (t.isConditionalExpression(node)) {
+    return isConstantExpression(node.test) && isConstantExpression(node.consequent) &&
+      isConstantExpression(node.alternate);
+  }
+  return false;
+}
+
+/**
+ * Build the plain literal for a primitive value
+ *
+ * @param {*} value - Primitive value
+ * @param {Object} scope - Scope the literal is inserted into
+ * @returns {Object|null} Literal node, or null when the value has no plain literal
+ */
+function literalFor(value, scope) {
+  const isGlobal = (name) => !scope.hasBinding(name, true);
+
+  if (typeof value === 'string') {
+    return t.stringLiteral(value);
+  }
+  if (typeof value === 'boolean') {
+    return t.booleanLiteral(value);
+  }
+  if (value === null) {
+    return t.nullLiteral();
+  }
+  if (value === undefined) {
+    return isGlobal('undefined') ? t.identifier('undefined') : null;
+  }
+  if (typeof value === 'number') {
+    if (Number.isNaN(value)) {
+      return isGlobal('NaN') ? t.identifier('NaN') : null;
+    }
+
+    const magnitude = Number.isFinite(value) ? t.numericLiteral(Math.abs(value)) : t.identifier('Infinity');
+    if (!Number.isFinite(value) && !isGlobal('Infinity')) {
+      return null;
+    }
+    return value < 0 || Object.is(value, -0) ? t.unaryExpression('-', magnitude) : magnitude;
+  }
+  return null;
+}
+
+/**
+ * Fold constant expressions in an AST
+ *
+ * @param {Object} ast - AST to simplify
+ * @returns {Object} Simplification statistics
+ */
+function simplifyPass(ast) {
+  const simplifications = {
+    arithmetic: 0,
+    strings: 0,
+    booleans: 0,
+    undefinedValues: 0
   };
 
-  // 1. Handle nested if statements
-  // This is a simplified approach that works for basic cases
-  // In a real implementation, you would use a proper parser and AST manipulation
-
-  // Find deeply nested if statements (3 or more levels)
-  const deepNestedIfPattern = /if\s*\([^{]*\)\s*{[^{]*if\s*\([^{]*\)\s*{[^{]*if\s*\([^{]*\)\s*{/g;
-  const deepNestedIfs = [...(flattened.match(deepNestedIfPattern) || [])];
-
-  if (deepNestedIfs.length > 0) {
-    // For each deeply nested if, try to flatten it using if-else-if structure
-    deepNestedIfs.forEach(nestedIfStart => {
-      // Find the full nested if block - this is a simplified approach
-      const startIndex = flattened.indexOf(nestedIfStart);
-      if (startIndex !== -1) {
-        // Extract a reasonable chunk of code that should contain the nested ifs
-        const codeChunk = flattened.substring(startIndex, startIndex + 500);
-
-        // Try to identify the pattern of nested ifs with simple conditions
-        const pattern = /if\s*\(([^{]*)\)\s*{[^{]*if\s*\(([^{]*)\)\s*{[^{]*if\s*\(([^{]*)\)\s*{([^}]*)}[^}]*else\s*{([^}]*)}[^}]*}[^}]*else\s*{([^}]*)}/;
-        const match = codeChunk.match(pattern);
-
-        if (match) {
-          // We found a pattern we can flatten
-          const condition1 = match[1].trim();
-          const condition2 = match[2].trim();
-          const condition3 = match[3].trim();
-          const block1 = match[4].trim();
-          const block2 = match[5].trim();
-          const elseBlock = match[6].trim();
-
-          // Create a flattened version using if-else-if
-          const flattenedIf = `
-// Flattened nested if statements
-if (${condition1} && ${condition2} && ${condition3}) {
-  ${block1}
-} else if (${condition1} && ${condition2}) {
-  ${block2}
-} else if (${condition1}) {
-  ${elseBlock}
-}`;
-
-          // Replace the nested structure with our flattened version
-          // This is a simplified approach and might not work for all cases
-          const originalCode = codeChunk.substring(0, match[0].length);
-          flattened = flattened.replace(originalCode, flattenedIf);
-          transformations.nestedIfs++;
-        }
+  const containsDivision = (node) => {
+    let found = false;
+    t.traverseFast(node, inner => {
+      if (t.isBinaryExpression(inner) && (inner.operator === '/' || inner.operator === '**')) {
+        found = true;
       }
     });
-  }
+    return found;
+  };
 
-  // 2. Handle while(true) loops with breaks
-  const whileTruePattern = /while\s*\(\s*true\s*\)\s*{([^}]*)}/g;
-  const whileTrueMatches = [...flattened.matchAll(whileTruePattern)];
+  traverseAst(ast, {
+    Expression(path) {
+      const { node } = path;
 
-  whileTrueMatches.forEach(match => {
-    const loopBody = match[1];
-    const breakPattern = /if\s*\(([^)]+)\)\s*{\s*break;\s*}/;
-    const breakMatch = loopBody.match(breakPattern);
+      // Literals, and negative numbers, are already as simple as they get
+      if (t.isLiteral(node) && !t.isTemplateLiteral(node) ||
+          t.isUnaryExpression(node, { operator: '-' }) && t.isNumericLiteral(node.argument) ||
+          !isConstantExpression(node)) {
+        return;
+      }
 
-    if (breakMatch) {
-      // This is a while(true) with a conditional break that can be simplified
-      const breakCondition = breakMatch[1];
-      const negatedCondition = breakCondition.includes('!')
-        ? breakCondition.replace('!', '').trim()
-        : `!(${breakCondition})`;
+      const { confident, value } = path.evaluate();
+      if (!confident) {
+        return;
+      }
 
-      // Create a standard while loop
-      const newLoop = `while (${negatedCondition}) {${loopBody.replace(breakMatch[0], '')}}`;
+      // Keep divisions that would turn into long fractions
+      if (typeof value === 'number' && !Number.isInteger(value) && Number.isFinite(value) && containsDivision(node)) {
+        return;
+      }
 
-      // Replace the original loop
-      flattened = flattened.replace(match[0], newLoop);
-      transformations.whileTrue++;
+      const literal = literalFor(value, path.scope);
+      if (!literal) {
+        return;
+      }
+
+      if (typeof value === 'boolean') {
+        simplifications.booleans++;
+      } else if (value === undefined) {
+        simplifications.undefinedValues++;
+      } else if (typeof value === 'string') {
+        simplifications.strings++;
+      } else {
+        simplifications.arithmetic++;
+      }
+
+      path.replaceWith(literal);
+      path.skip();
     }
   });
 
-  // 3. Handle switch statements with mappings
-  const switchMappingPattern = /switch\s*\(([^)]*\[[^)]*\])\)\s*{([^}]*)}/g;
-  const switchMappingMatches = [...flattened.matchAll(switchMappingPattern)];
+  const totalSimplifications =
+    simplifications.arithmetic +
+    simplifications.strings +
+    simplifications.booleans +
+    simplifications.undefinedValues;
+
+  return {
+    ...simplifications,
+    totalSimplifications
+  };
+}
+
+/**
+ * Rewrite `obj['log']` as `obj.log`, computed object keys as plain keys, and
+ * boolean, undefined and number idioms as plain literals
+ *
+ * @param {string} code - Code with obfuscated member access and literals
+ * @param {Object} ast - Parsed AST of the code
+ * @returns {Object} Normalized code and metadata
+ */
+export function normalizeLiterals(code, ast = parseCode(code)) {
+  const stats = normalizePass(ast);
+
+  return {
+    ...printWithSourceMap(ast, code),
+    stats
+  };
+}
+
+/**
+ * Get the plain key a computed string or number key can become
+ *
+ * @param {Object} path - Path of an object or class member with a computed key
+ * @returns {Object|null} Identifier, or the string or number key itself, or null when the key must stay computed
+ */
+function plainKey(path) {
+  const { key } = path.node;
+  const name = t.isStringLiteral(key) ? key.value : null;
+
+  // A plain __proto__ key sets the prototype, and a plain constructor method is the class constructor
+  if (name === '__proto__' || (path.parentPath.isClassBody() &&
+      (name === 'constructor' || (path.node.static && name === 'prototype')))) {
+    return null;
+  }
+
+  if (name !== null) {
+    return t.isValidIdentifier(name, false) ? t.identifier(name) : key;
+  }
 
-  switchMappingMatches.forEach(match => {
-    const switchExpr = match[1];
-    const switchBody = match[2];
+  // Plain number keys name the same property as computed ones
+  return t.isNumericLiteral(key) ? key : null;
+}
 
-    // Check if this is a mapping-based switch that can be simplified
-    if (switchExpr.includes('[')) {
-      const mappingMatch = switchExpr.match(/([a-zA-Z_$][a-zA-Z0-9_$]*)\[([^[\]]+)\]/);
+/**
+ * Normalize member access and literals in an AST
+ *
+ * @param {Object} ast - AST to normalize
+ * @returns {Object} Normalization statistics
+ */
+function normalizePass(ast) {
+  const normalizations = {
+    members: 0,
+    keys: 0,
+    booleans: 0,
+    undefinedValues: 0,
+    numbers: 0
+  };
 
-      if (mappingMatch) {
-        const mappingObj = mappingMatch[1];
-        const mappingKey = mappingMatch[2];
+  traverseAst(ast, {
+    // 1. obj['log'] becomes obj.log
+    'MemberExpression|OptionalMemberExpression'(path) {
+      const { property, computed } = path.node;
+      if (computed && t.isStringLiteral(property) && t.isValidIdentifier(property.value, false)) {
+        path.node.property = t.identifier(property.value);
+        path.node.computed = false;
+        normalizations.members++;
+      }
+    },
 
-        // Extract cases
-        const casePattern = /case\s+(\d+):\s*([^}]*?)(?:break;|(?=case|default))/g;
-        const cases = [...switchBody.matchAll(casePattern)];
+    // 2. { ['key']: value } becomes { key: value }, and { 'key': value } likewise
+    'ObjectProperty|ObjectMethod|ClassProperty|ClassMethod'(path) {
+      const { key, computed } = path.node;
+      const isQuotedName = !computed && t.isStringLiteral(key) && t.isValidIdentifier(key.value, false);
+      if (!computed && !isQuotedName) {
+        return;
+      }
 
-        if (cases.length > 0) {
-          // Build a simplified if-else structure
-          let ifElseStructure = `// Simplified mapping switch\n`;
+      const replacement = plainKey(path);
+      if (replacement) {
+        path.node.key = replacement;
+        path.node.computed = false;
+        normalizations.keys++;
+      }
+    },
 
-          cases.forEach((caseMatch, index) => {
-            const caseValue = caseMatch[1];
-            const caseBody = caseMatch[2].trim();
+    // 3. !0, !1 and ![] become true and false, and void 0 becomes undefined
+    UnaryExpression(path) {
+      const { operator, argument } = path.node;
+      if ((operator !== '!' && operator !== 'void') || !isConstantExpression(argument)) {
+        return;
+      }
 
-            if (index === 0) {
-              ifElseStructure += `if (${mappingObj}[${mappingKey}] === ${caseValue}) {\n  ${caseBody}\n}`;
-            } else {
-              ifElseStructure += ` else if (${mappingObj}[${mappingKey}] === ${caseValue}) {\n  ${caseBody}\n}`;
-            }
-          });
+      const { confident, value } = path.evaluate();
+      const literal = confident ? literalFor(value, path.scope) : null;
+      if (!literal) {
+        return;
+      }
 
-          // Handle default case
-          const defaultMatch = switchBody.match(/default:\s*([^}]*?)(?:break;|$)/);
-          if (defaultMatch) {
-            ifElseStructure += ` else {\n  ${defaultMatch[1].trim()}\n}`;
-          }
+      normalizations[operator === '!' ? 'booleans' : 'undefinedValues']++;
+      path.replaceWith(literal);
+      path.skip();
+    },
 
-          // Replace the switch with our if-else structure
-          flattened = flattened.replace(match[0], ifElseStructure);
-          transformations.switchMappings++;
-        }
+    // 4. 1e3, 0x10 and .5 become 1000, 16 and 0.5
+    NumericLiteral(path) {
+      const { value, extra } = path.node;
+      const plain = String(value);
+      if (extra && extra.raw !== plain && Number.isFinite(value) && !plain.includes('e')) {
+        path.node.extra = { rawValue: value, raw: plain };
+        normalizations.numbers++;
       }
     }
   });
 
-  // Format the code after transformations
-  flattened = formatCode(flattened).code;
-
-  const totalTransformations =
-    transformations.nestedIfs +
-    transformations.nestedLoops +
-    transformations.whileTrue +
-    transformations.switchMappings;
+  const totalNormalizations = Object.values(normalizations).reduce((sum, count) => sum + count, 0);
 
   return {
-    code: flattened,
-    stats: {
-      ...transformations,
-      totalTransformations
-    }
+    ...normalizations,
+    totalNormalizations
   };
 }
 
 /**
- * Remove unreachable (dead) code
+ * Inline calls through proxy functions and object-literal proxy tables
  *
- * @param {string} code - Code with dead code blocks
- * @param {Object} options - Removal options
- * @returns {Object} Code with dead code removed and metadata
+ * @param {string} code - Code with proxy calls such as `_0x12.abcde(a, b)`
+ * @param {Object} ast - Parsed AST of the code
+ * @returns {Object} Code with the proxies inlined and metadata
  */
-export function removeDeadCode(code, options = {}) {
-  const { removeEmptyBlocks = true } = options;
+export function inlineProxies(code, ast = parseCode(code)) {
+  const stats = inlineProxiesPass(ast);
 
-  let cleaned = code;
-  let removals = {
-    unreachableIf: 0,
-    unreachableLoops: 0,
-    emptyBlocks: 0,
-    unusedVariables: 0
+  return {
+    ...printWithSourceMap(ast, code),
+    stats
   };
+}
 
-  // 1. Remove if (false) { ... } blocks
-  const falseIfPattern = /if\s*\(\s*false\s*\)\s*{[^}]*}/g;
-  const falseIfBlocks = code.match(falseIfPattern) || [];
-  if (falseIfBlocks.length > 0) {
-    cleaned = cleaned.replace(falseIfPattern, '// Dead code removed: if (false) block');
-    removals.unreachableIf += falseIfBlocks.length;
+/**
+ * Describe a function whose body is a single expression of its parameters
+ *
+ * @param {Object} node - Function node
+ * @returns {Object|null} `{ params, body, uses, inOrder }`, or null when the function is not a proxy.
+ *   inOrder is true when every parameter is evaluated exactly once, unconditionally and in order.
+ */
+function proxyTemplate(node) {
+  if (!t.isFunction(node) || node.async || node.generator || !node.params.every(param => t.isIdentifier(param))) {
+    return null;
   }
 
-  // 2. Remove if (0) { ... } blocks
-  const zeroIfPattern = /if\s*\(\s*0\s*\)\s*{[^}]*}/g;
-  const zeroIfBlocks = code.match(zeroIfPattern) || [];
-  if (zeroIfBlocks.length > 0) {
-    cleaned = cleaned.replace(zeroIfPattern, '// Dead code removed: if (0) block');
-    removals.unreachableIf += zeroIfBlocks.length;
+  let body = node.body;
+  if (t.isBlockStatement(body)) {
+    const [statement, ...rest] = body.body;
+    if (rest.length > 0 || body.directives.length > 0 || !t.isReturnStatement(statement) || !statement.argument) {
+      return null;
+    }
+    body = statement.argument;
   }
 
-  // 3. Remove while (false) { ... } loops
-  const falseWhilePattern = /while\s*\(\s*false\s*\)\s*{[^}]*}/g;
-  const falseWhileBlocks = code.match(falseWhilePattern) || [];
-  if (falseWhileBlocks.length > 0) {
-    cleaned = cleaned.replace(falseWhilePattern, '// Dead code removed: while (false) loop');
-    removals.unreachableLoops += falseWhileBlocks.length;
-  }
+  const params = node.params.map(param => param.name);
+  const uses = params.map(() => 0);
+  const order = [];
+  let valid = true;
+  let conditional = false;
 
-  // 4. Remove for loops with false conditions
-  const falseForPattern = /for\s*\([^;]*;\s*false\s*;[^)]*\)\s*{[^}]*}/g;
-  const falseForBlocks = code.match(falseForPattern) || [];
-  if (falseForBlocks.length > 0) {
-    cleaned = cleaned.replace(falseForPattern, '// Dead code removed: for loop with false condition');
-    removals.unreachableLoops += falseForBlocks.length;
-  }
+  // The expression may only combine its parameters; anything else would change meaning at the call site
+  t.traverse(body, (child, ancestors) => {
+    const parent = ancestors.length > 0 ? ancestors[ancestors.length - 1] : null;
+
+    if (t.isFunction(child) || t.isThisExpression(child) || t.isSuper(child) || t.isMetaProperty(child) ||
+        t.isAssignmentExpression(child) || t.isUpdateExpression(child) || t.isYieldExpression(child) ||
+        t.isAwaitExpression(child)) {
+      valid = false;
+    }
+    if (!t.isIdentifier(child) || (parent && !t.isReferenced(child, parent.node))) {
+      return;
+    }
+
+    const index = params.indexOf(child.name);
+    if (index === -1) {
+      valid = false;
+    } else {
+      uses[index]++;
+      order.push(index);
+    }
 
-  // 5. Remove empty blocks if option is enabled
-  if (removeEmptyBlocks) {
-    const emptyBlockPattern = /{\s*}/g;
-    const emptyBlocks = code.match(emptyBlockPattern) || [];
-    if (emptyBlocks.length > 0) {
-      cleaned = cleaned.replace(emptyBlockPattern, '{}');
-      removals.emptyBlocks += emptyBlocks.length;
+    // Behind &&, ||, ??, ?: or ?. a parameter may not be evaluated at all
+    if (ancestors.some(({ node: ancestor }) => t.isLogicalExpression(ancestor) || t.isConditionalExpression(ancestor) ||
+        t.isOptionalMemberExpression(ancestor) || t.isOptionalCallExpression(ancestor))) {
+      conditional = true;
     }
+  });
+
+  if (!valid) {
+    return null;
+  }
+
+  return {
+    params,
+    body,
+    uses,
+    inOrder: !conditional && uses.every(count => count === 1) && order.every((index, position) => index === position)
+  };
+}
+
+/**
+ * Build the expression a proxy call stands for
+ *
+ * @param {Object} template - Result of proxyTemplate
+ * @param {Object} path - Path of the call expression
+ * @returns {Object|null} Inlined expression, or null when the arguments cannot be substituted safely
+ */
+function inlineProxyCall(template, path) {
+  const args = path.node.arguments;
+
+  if (args.length !== template.params.length || args.some(arg => !t.isExpression(arg))) {
+    return null;
   }
 
-  // 6. Detect and remove unused variables
-  // This is a simplified approach that works for basic cases
-  // In a real implementation, you would use a proper parser and scope analysis
+  // Arguments must still be evaluated once each and in the same order
+  const safe = template.inOrder || args.every((arg, index) => path.scope.isPure(arg) &&
+    (template.uses[index] <= 1 || t.isIdentifier(arg) || t.isLiteral(arg)));
+  if (!safe) {
+    return null;
+  }
 
-  // First, find all variable declarations
-  const varDeclarationPattern = /\b(var|let|const)\s+([a-zA-Z_$][a-zA-Z0-9_$]*)(?:\s*=\s*([^;]+))?;/g;
-  const varDeclarations = [...cleaned.matchAll(varDeclarationPattern)];
+  const argumentFor = (name, isCallee) => {
+    const arg = t.cloneNode(args[template.params.indexOf(name)], true);
+    // Calling a method through the proxy does not bind `this`, so keep it unbound
+    return isCallee && t.isMemberExpression(arg) ? t.sequenceExpression([t.numericLiteral(0), arg]) : arg;
+  };
 
-  // Track variables that might be unused
-  const potentiallyUnused = new Map();
+  if (t.isIdentifier(template.body)) {
+    return argumentFor(template.body.name, false);
+  }
 
-  varDeclarations.forEach(match => {
-    const varName = match[2];
-    const fullDeclaration = match[0];
+  const expression = t.cloneNode(template.body, true);
+  t.traverse(expression, (child, ancestors) => {
+    if (!t.isIdentifier(child) || ancestors.length === 0) {
+      return;
+    }
 
-    // Skip if it's a common variable name that's likely used
-    if (['i', 'j', 'k', 'e', 'err', 'error', 'data', 'result'].includes(varName)) {
+    const { node: parent, key, index } = ancestors[ancestors.length - 1];
+    if (!t.isReferenced(child, parent)) {
       return;
     }
 
-    // Check if this variable is used elsewhere in the code
-    // We need to use word boundaries to avoid partial matches
-    const usagePattern = new RegExp(`\\b${varName}\\b`, 'g');
-    const usages = [...cleaned.matchAll(usagePattern)];
+    const replacement = argumentFor(child.name, t.isCallExpression(parent) && key === 'callee');
+    if (index === undefined) {
+      parent[key] = replacement;
+    } else {
+      parent[key][index] = replacement;
+    }
+  });
+
+  return expression;
+}
+
+/**
+ * Move `table.key = value` statements that directly follow `var table = {}` into the literal
+ *
+ * javascript-obfuscator fills its proxy tables this way. Nothing runs between the
+ * declaration and the assignments, so the values are still evaluated in the same order.
+ *
+ * @param {Object} ast - AST to rewrite
+ * @returns {number} Number of assignments moved into a literal
+ */
+function foldTableAssignments(ast) {
+  let folded = 0;
+
+  traverseAst(ast, {
+    VariableDeclaration(path) {
+      const declarator = path.node.declarations[path.node.declarations.length - 1];
+      if (!Array.isArray(path.container) || !t.isIdentifier(declarator.id) || !t.isObjectExpression(declarator.init) ||
+          !declarator.init.properties.every(property => t.isObjectProperty(property))) {
+        return;
+      }
+
+      const { name } = declarator.id;
+      const binding = path.scope.getBinding(name);
+      if (!binding || !binding.constant) {
+        return;
+      }
+
+      // A value may only use the table inside a function, which runs once the table is complete
+      const readsTable = (valuePath) => {
+        if (valuePath.isFunction()) {
+          return false;
+        }
+        let reads = valuePath.isIdentifier({ name });
+        valuePath.traverse({
+          Function(innerPath) {
+            innerPath.skip();
+          },
+          Identifier(innerPath) {
+            if (innerPath.node.name === name && innerPath.scope.getBinding(name) === binding) {
+              reads = true;
+            }
+          }
+        });
+        return reads;
+      };
+
+      const assignments = [];
+      for (let sibling = path.getSibling(path.key + 1); sibling.node; sibling = sibling.getSibling(sibling.key + 1)) {
+        const expression = sibling.isExpressionStatement() ? sibling.node.expression : null;
+        const key = t.isAssignmentExpression(expression, { operator: '=' }) && t.isMemberExpression(expression.left) &&
+          t.isIdentifier(expression.left.object, { name }) ? memberKey(expression.left) : null;
+
+        if (key === null || key === '__proto__' || readsTable(sibling.get('expression.right'))) {
+          break;
+        }
+        assignments.push({ sibling, key, value: expression.right });
+      }
+
+      assignments.forEach(({ sibling, key, value }) => {
+        declarator.init.properties.push(t.objectProperty(t.isValidIdentifier(key) ? t.identifier(key) : t.stringLiteral(key), value));
+        sibling.remove();
+        folded++;
+      });
+    }
+  });
+
+  return folded;
+}
+
+/**
+ * Replace aliases of object tables, such as `var alias = table`, with the table itself
+ *
+ * Both bindings must be constant, and the alias must only be read after its declaration
+ * and never from a hoisted function that could run before it.
+ *
+ * @param {Object} ast - AST to rewrite
+ * @returns {number} Number of aliases removed
+ */
+function resolveTableAliases(ast) {
+  let resolved = 0;
+
+  traverseAst(ast, {
+    VariableDeclarator(path) {
+      const { id, init } = path.node;
+      if (!t.isIdentifier(id) || !t.isIdentifier(init) || path.findParent(parent => parent.isExportDeclaration()) ||
+          !(path.parentPath.parentPath.isBlockStatement() || path.parentPath.parentPath.isProgram())) {
+        return;
+      }
+
+      const alias = path.scope.getBinding(id.name);
+      const table = path.scope.getBinding(init.name);
+      if (!alias || alias.path !== path || !alias.constant || !table || !table.constant ||
+          !table.path.isVariableDeclarator() || !t.isObjectExpression(table.path.node.init)) {
+        return;
+      }
+
+      const declaringFunction = path.getFunctionParent();
+      const replaceable = alias.referencePaths.every(reference => {
+        if (reference.scope.getBinding(init.name) !== table || !(reference.node.start >= path.node.end)) {
+          return false;
+        }
+        for (let fn = reference.getFunctionParent(); fn && fn !== declaringFunction; fn = fn.parentPath.getFunctionParent()) {
+          if (fn.isFunctionDeclaration()) {
+            return false;
+          }
+        }
+        return true;
+      });
 
-    // If the variable only appears once (in its declaration), it's unused
-    if (usages.length === 1) {
-      potentiallyUnused.set(varName, fullDeclaration);
+      if (replaceable) {
+        alias.referencePaths.forEach(reference => reference.replaceWith(t.identifier(init.name)));
+        path.remove();
+        resolved++;
+      }
     }
   });
 
-  // Remove unused variables
-  potentiallyUnused.forEach((declaration, varName) => {
-    // Double-check that this is actually the declaration and not some other usage
-    if (declaration.includes(`var ${varName}`) ||
-        declaration.includes(`let ${varName}`) ||
-        declaration.includes(`const ${varName}`)) {
+  return resolved;
+}
+
+/**
+ * Inline proxies in an AST
+ *
+ * @param {Object} ast - AST to inline proxies in
+ * @returns {Object} Inlining statistics
+ */
+function inlineProxiesPass(ast) {
+  const inlined = {
+    callsInlined: 0,
+    valuesInlined: 0,
+    proxiesRemoved: 0,
+    tableAssignmentsFolded: 0,
+    aliasesResolved: 0
+  };
+
+  // javascript-obfuscator fills its tables by assignment and reads them through aliases
+  inlined.tableAssignmentsFolded = foldTableAssignments(ast);
+  inlined.aliasesResolved = resolveTableAliases(ast);
+
+  // Declarations that proxies were taken from, removed once nothing uses them
+  const sources = new Set();
+
+  // Find the proxy function or table value a callee or member read refers to. Calls may
+  // go through tables whose methods are called, but such a method can change the table's
+  // values through `this`, so values are only read from tables nothing is called on.
+  const resolveProxy = (path, allowCalls) => {
+    if (path.isIdentifier()) {
+      const binding = path.scope.getBinding(path.node.name);
+      if (!binding || !binding.constant) {
+        return null;
+      }
+      // Function declarations are hoisted, function expressions only exist once assigned
+      const fn = binding.path.isFunctionDeclaration() ? binding.path
+        : binding.path.isVariableDeclarator() && path.node.start >= binding.path.node.end ? binding.path.get('init')
+          : null;
+      return fn && fn.node ? { value: fn, source: binding.path.node } : null;
+    }
+
+    if (path.isMemberExpression() && t.isIdentifier(path.node.object) && memberKey(path.node) !== null) {
+      const binding = path.scope.getBinding(path.node.object.name);
+      const table = constantTable(binding, allowCalls);
+      const value = table && path.node.start >= binding.path.node.end && table.get(memberKey(path.node));
+      return value ? { value, source: binding.path.node } : null;
+    }
+
+    return null;
+  };
+
+  // Inlining a proxy can expose another one in its place, so repeat until nothing changes
+  let changed = true;
+  for (let round = 0; changed && round < 10; round++) {
+    changed = false;
+
+    traverseAst(ast, {
+      CallExpression: {
+        exit(path) {
+          const proxy = resolveProxy(path.get('callee'), true);
+          const template = proxy && proxyTemplate(proxy.value.node);
+          const expression = template && inlineProxyCall(template, path);
+
+          if (expression) {
+            path.replaceWith(expression);
+            sources.add(proxy.source);
+            inlined.callsInlined++;
+            changed = true;
+          }
+        }
+      },
+
+      MemberExpression(path) {
+        if (path.parentPath.isCallExpression({ callee: path.node })) {
+          return;
+        }
+
+        const proxy = resolveProxy(path, false);
+        const value = proxy && proxy.value.node;
+        if (t.isStringLiteral(value) || t.isNumericLiteral(value) || t.isBooleanLiteral(value)) {
+          path.replaceWith(t.cloneNode(value));
+          sources.add(proxy.source);
+          inlined.valuesInlined++;
+          changed = true;
+        }
+      }
+    });
+  }
+
+  // Remove tables and functions whose last use was inlined; removing one can free another
+  let removed = true;
+  while (removed) {
+    removed = false;
+
+    traverseAst(ast, {
+      'VariableDeclarator|FunctionDeclaration'(path) {
+        const id = path.node.id;
+        const binding = sources.has(path.node) && t.isIdentifier(id) && path.scope.getBinding(id.name);
+
+        if (binding && !binding.referenced && binding.path === path &&
+            !path.findParent(parent => parent.isExportDeclaration())) {
+          path.remove();
+          inlined.proxiesRemoved++;
+          removed = true;
+        }
+      }
+    });
+  }
+
+  return inlined;
+}
+
+/**
+ * Decode hex and unicode escapes in string and template literals
+ *
+ * @param {string} code - Code with escaped strings
+ * @param {Object} options - Decoding options
+ * @param {Object} ast - Parsed AST of the code
+ * @returns {Object} Code with readable strings and metadata
+ */
+export function decodeEscapes(code, options = {}, ast = parseCode(code)) {
+  const stats = decodeEscapesPass(ast, options);
+
+  return {
+    ...printWithSourceMap(ast, code),
+    stats
+  };
+}
+
+/**
+ * Characters that stay escaped because they are invisible or break lines
+ */
+const UNPRINTABLE_CHARACTER = /[\p{Cc}\p{Cf}\p{Z}\p{Co}\p{Cn}\p{Cs}]/u;
+
+/**
+ * Replace \xNN and \uNNNN escapes in the raw text of a literal with the characters they encode
+ *
+ * Other escapes such as \n are copied unchanged, so the literal keeps its value.
+ *
+ * @param {string} raw - Raw literal text without the surrounding quotes
+ * @param {string} quote - Quote character of the literal
+ * @returns {string} Raw text with readable characters
+ */
+function unescapeRaw(raw, quote) {
+  let result = '';
+  let index = 0;
+
+  // A character may be written literally unless it ends the literal or is hard to see
+  const isSafe = (char, next) => {
+    if (char === '\\' || char === quote || (char !== ' ' && UNPRINTABLE_CHARACTER.test(char))) {
+      return false;
+    }
+    // In templates, a literal "${" would start a substitution
+    if (quote === '`' && ((char === '$' && next === '{') || (char === '{' && result.endsWith('$')))) {
+      return false;
+    }
+    return true;
+  };
+
+  // Read the code unit or code point of the escape starting at `start`
+  const readEscape = (start) => {
+    const hex = raw.slice(start + 1).match(/^(?:x([0-9a-fA-F]{2})|u([0-9a-fA-F]{4})|u\{([0-9a-fA-F]+)\})/);
+    if (raw[start] !== '\\' || !hex) {
+      return null;
+    }
+    return { code: parseInt(hex[1] || hex[2] || hex[3], 16), length: hex[0].length + 1 };
+  };
+
+  while (index < raw.length) {
+    if (raw[index] !== '\\') {
+      result += raw[index];
+      index++;
+      continue;
+    }
+
+    const escape = readEscape(index);
+    if (!escape) {
+      // Copy the backslash together with the character it escapes
+      result += raw.slice(index, index + 2);
+      index += 2;
+      continue;
+    }
+
+    let char = escape.code <= 0x10ffff ? String.fromCodePoint(escape.code) : null;
+    let length = escape.length;
+
+    // Join surrogate pairs written as two escapes
+    const low = escape.code >= 0xd800 && escape.code <= 0xdbff ? readEscape(index + length) : null;
+    if (low && low.code >= 0xdc00 && low.code <= 0xdfff) {
+      char = String.fromCharCode(escape.code, low.code);
+      length += low.length;
+    }
+
+    const rest = raw.slice(index + length);
+    if (char && isSafe(char, rest[0])) {
+      result += char;
+    } else {
+      result += raw.slice(index, index + length);
+    }
+    index += length;
+  }
+
+  return result;
+}
+
+/**
+ * Decode escapes in an AST
+ *
+ * @param {Object} ast - AST to decode
+ * @param {Object} options - Decoding options
+ * @returns {Object} Decoding statistics
+ */
+function decodeEscapesPass(ast, options = {}) {
+  const { convertHexNumbers = true } = options;
+
+  const decoded = {
+    stringsDecoded: 0,
+    templatesDecoded: 0,
+    numbersConverted: 0
+  };
+
+  traverseAst(ast, {
+    StringLiteral(path) {
+      const raw = path.node.extra && path.node.extra.raw;
+
+      // JSX attribute strings do not support escapes
+      if (!raw || path.parentPath.isJSXAttribute()) {
+        return;
+      }
+
+      const quote = raw[0];
+      const readable = quote + unescapeRaw(raw.slice(1, -1), quote) + quote;
+      if (readable !== raw) {
+        path.node.extra = { ...path.node.extra, raw: readable, rawValue: path.node.value };
+        decoded.stringsDecoded++;
+      }
+    },
+
+    TemplateLiteral(path) {
+      // Tagged templates can observe the raw text
+      if (path.parentPath.isTaggedTemplateExpression()) {
+        return;
+      }
+
+      let changed = false;
+      path.node.quasis.forEach(quasi => {
+        const readable = unescapeRaw(quasi.value.raw, '`');
+        if (readable !== quasi.value.raw) {
+          quasi.value = { ...quasi.value, raw: readable };
+          changed = true;
+        }
+      });
+
+      if (changed) {
+        decoded.templatesDecoded++;
+      }
+    },
 
-      cleaned = cleaned.replace(declaration, `// Removed unused variable: ${varName}\n`);
-      removals.unusedVariables++;
+    NumericLiteral(path) {
+      const raw = path.node.extra && path.node.extra.raw;
+      if (convertHexNumbers && raw && /^0[xX]/.test(raw)) {
+        path.node.extra = { ...path.node.extra, raw: String(path.node.value) };
+        decoded.numbersConverted++;
+      }
     }
   });
 
-  // Format the code after removing dead code
-  cleaned = formatCode(cleaned).code;
+  return decoded;
+}
+
+/**
+ * Decode javascript-obfuscator string arrays and inline the strings at their call sites
+ *
+ * @param {string} code - Code using a string array
+ * @param {Object} ast - Parsed AST of the code
+ * @returns {Object} Code with decoded strings and metadata
+ */
+export function decodeStringArray(code, ast = parseCode(code)) {
+  const stats = decodeStringArrays(ast);
+
+  return {
+    ...printWithSourceMap(ast, code),
+    stats
+  };
+}
+
+/**
+ * Unpack code hidden behind eval, p.a.c.k.e.r and the Function constructor
+ *
+ * @param {string} code - Packed code
+ * @param {Object} options - Unpacking options
+ * @param {Object} ast - Parsed AST of the code
+ * @returns {Object} Unpacked code and metadata
+ */
+export function unpackEval(code, options = {}, ast = parseCode(code)) {
+  const stats = unpackPayloads(ast, options);
 
   return {
-    code: cleaned,
-    stats: removals
+    ...printWithSourceMap(ast, code),
+    stats
   };
 }
 
 /**
  * Automatically deobfuscate code by applying multiple transformations in sequence
  *
+ * All passes share a single AST, which is printed once at the end.
+ *
  * @param {string} code - Obfuscated code to improve
  * @param {Object} options - Deobfuscation options
+ * @param {Object} ast - Parsed AST of the code
  * @returns {Object} Deobfuscated code and metadata
  */
-export function autoDeobfuscate(code, options = {}) {
+export function autoDeobfuscate(code, options = {}, ast = parseCode(code)) {
   // Track all transformations applied
   const stats = {
     transformations: {
+      proxiesInlined: 0,
+      expressionsSimplified: 0,
+      literalsNormalized: 0,
       deadCodeRemoved: 0,
       variablesRenamed: 0,
       controlFlowFlattened: 0
     },
+    deadCodeRemovals: [],
     originalSize: code.length,
     finalSize: 0,
     readabilityImprovement: 0
   };
 
-  // Step 1: First remove dead code
-  const deadCodeResult = removeDeadCode(code, {
+  // Step 1: Inline proxy calls so the expressions they hide can be simplified
+  const proxyStats = inlineProxiesPass(ast);
+
+  stats.transformations.proxiesInlined = proxyStats.callsInlined + proxyStats.valuesInlined;
+
+  // Step 2: Fold constant expressions so later passes see plain literals
+  const simplifyStats = simplifyPass(ast);
+
+  stats.transformations.expressionsSimplified = simplifyStats.totalSimplifications;
+
+  // Step 3: Normalize obj['key'] access, computed keys and literal idioms
+  const normalizeStats = normalizePass(ast);
+
+  stats.transformations.literalsNormalized = normalizeStats.totalNormalizations;
+
+  // Step 4: Remove dead code
+  const deadCodeStats = deadCodePass(ast, {
     removeEmptyBlocks: options.removeEmptyBlocks !== false
   });
 
-  let improved = deadCodeResult.code;
   stats.transformations.deadCodeRemoved =
-    deadCodeResult.stats.unreachableIf +
-    deadCodeResult.stats.unreachableLoops +
-    deadCodeResult.stats.unusedVariables;
-
-  // Step 2: Flatten control flow structures
-  const flattenResult = flattenControlFlow(improved, {
+    deadCodeStats.unreachableIf +
+    deadCodeStats.unreachableLoops +
+    deadCodeStats.unreachableStatements +
+    deadCodeStats.opaquePredicates +
+    deadCodeStats.unusedFunctions +
+    deadCodeStats.unusedVariables +
+    deadCodeStats.unusedAssignments;
+  stats.deadCodeRemovals = deadCodeStats.removed;
+
+  // Step 5: Flatten control flow structures
+  const flattenStats = controlFlowPass(ast, {
     maxDepth: options.maxDepth || 2
   });
 
-  improved = flattenResult.code;
-  stats.transformations.controlFlowFlattened = flattenResult.stats.totalTransformations;
+  stats.transformations.controlFlowFlattened = flattenStats.totalTransformations;
 
-  // Step 3: Rename variables for better readability
-  const renameResult = renameVariables(improved, {
+  // Step 6: Rename variables for better readability
+  const renameStats = renamePass(ast, {
     preserveBuiltins: options.preserveBuiltins !== false
   });
 
-  improved = renameResult.code;
-  stats.transformations.variablesRenamed = renameResult.stats.variablesRenamed;
+  stats.transformations.variablesRenamed = renameStats.variablesRenamed;
 
-  // Step 4: Format the final code
-  const formattedResult = formatCode(improved);
-  improved = formattedResult.code;
+  // Step 7: Print (and thereby format) the final code
+  const { code: improved, map } = printWithSourceMap(ast, code);
 
   // Calculate final stats
   stats.finalSize = improved.length;
@@ -889,6 +3485,9 @@ export function autoDeobfuscate(code, options = {}) {
   // Calculate a simple readability score based on transformations
   // This is a very basic heuristic - in a real app you might use a more sophisticated metric
   const totalTransformations =
+    stats.transformations.proxiesInlined +
+    stats.transformations.expressionsSimplified +
+    stats.transformations.literalsNormalized +
     stats.transformations.deadCodeRemoved +
     stats.transformations.variablesRenamed +
     stats.transformations.controlFlowFlattened;
@@ -897,6 +3496,7 @@ export function autoDeobfuscate(code, options = {}) {
 
   return {
     code: improved,
+    map,
     stats
   };
 }
@@ -0,0 +1,193 @@
+import { beforeAll, describe, it, expect } from 'vitest';
+import { applyTransformation } from './transformers';
+import { checkEquivalence } from './equivalence';
+import { loadDownleveler } from './downlevel';
+
+beforeAll(loadDownleveler);
+
+describe('inline-proxies', () => {
+  it('keeps calls whose impure argument a && proxy could skip', () => {
+    const code = `var _0x = { abc: function (x, y) { return x && y; } };
+function b() { console.log('b ran'); return 1; }
+var a = 0;
+console.log(_0x.abc(a, b()));`;
+    const { code: output } = applyTransformation(code, 'inline-proxies');
+
+    expect(output).not.toContain('a && b()');
+    expect(checkEquivalence(code, output).status).toBe('equivalent');
+  });
+
+  it('keeps calls whose impure argument a ternary proxy could skip', () => {
+    const code = `var _0x = { q: (x, y) => x ? y : 0 };
+function d() { console.log('d ran'); return 2; }
+var c = false;
+console.log(_0x.q(c, d()));`;
+    const { code: output } = applyTransformation(code, 'inline-proxies');
+
+    expect(output).not.toContain('c ? d() : 0');
+    expect(checkEquivalence(code, output).status).toBe('equivalent');
+  });
+
+  it('still inlines short-circuit proxies with pure arguments', () => {
+    const code = `var _0x = { abc: function (x, y) { return x && y; } };
+var a = 1, b = 2;
+console.log(_0x.abc(a, b));`;
+
+    expect(applyTransformation(code, 'inline-proxies').code).toContain('console.log(a && b)');
+  });
+
+  it('does not inline table values a method can reassign through this', () => {
+    const code = `var T = { a: "x", set: function () { this.a = "y"; } };
+T.set();
+console.log(T.a);`;
+    const { code: output } = applyTransformation(code, 'inline-proxies');
+
+    expect(output).toContain('console.log(T.a)');
+    expect(checkEquivalence(code, output).status).toBe('equivalent');
+  });
+
+  it('inlines tables filled by assignment and read through an alias', () => {
+    const code = `function run() {
+  var _0x1 = {};
+  _0x1['xYz'] = function (a, b) { return a + b; };
+  _0x1['aBc'] = 'log';
+  var _0x2 = _0x1;
+  console[_0x2['aBc']](_0x2['xYz'](1, 2));
+}
+run();`;
+    const { code: output } = applyTransformation(code, 'inline-proxies');
+
+    expect(output).toContain("console['log'](1 + 2)");
+    expect(output).not.toContain('_0x');
+    expect(checkEquivalence(code, output).status).toBe('equivalent');
+  });
+
+  it('stops folding assignments at a value that reads the unfinished table', () => {
+    const code = `var o = {};
+o.a = 1;
+o.b = o.a + 1;
+console.log(o.b);`;
+    const { code: output } = applyTransformation(code, 'inline-proxies');
+
+    expect(output).toContain('o.b = o.a + 1');
+    expect(checkEquivalence(code, output).status).toBe('equivalent');
+  });
+
+  it('keeps an alias a hoisted function could read before it is assigned', () => {
+    const code = `var o = { a: 'x' };
+console.log(read());
+var alias = o;
+function read() { return alias && alias.a; }`;
+    const { code: output } = applyTransformation(code, 'inline-proxies');
+
+    expect(output).toContain('var alias = o');
+    expect(checkEquivalence(code, output).status).toBe('equivalent');
+  });
+});
+
+describe('remove-dead-code', () => {
+  it('reports an unreachable var once, at its own line', () => {
+    const code = `function f() {
+  return 1;
+  var z = 3;
+}
+f();`;
+    const { code: output, stats } = applyTransformation(code, 'remove-dead-code');
+
+    expect(output).not.toContain('var z');
+    expect(stats.removed).toEqual([
+      { line: 3, kind: 'unreachableStatements', description: expect.any(String) }
+    ]);
+    expect(stats.unusedVariables).toBe(0);
+  });
+
+  it('keeps unused top-level functions and variables of a script', () => {
+    const code = `function helper() { return 1; }
+var config = { debug: false };`;
+    const { code: output } = applyTransformation(code, 'remove-dead-code');
+
+    expect(output).toContain('function helper()');
+    expect(output).toContain('var config');
+  });
+
+  it('removes unused top-level bindings of an ES module', () => {
+    const code = `function helper() { return 1; }
+var config = { debug: false };
+export const used = 2;`;
+    const { code: output } = applyTransformation(code, 'remove-dead-code');
+
+    expect(output).not.toContain('helper');
+    expect(output).not.toContain('config');
+  });
+
+  it('keeps top-level functions of a script in auto deobfuscation', () => {
+    const { code: output } = applyTransformation('function helper() { return 1; }', 'auto-deobfuscate');
+
+    expect(output).toContain('function helper()');
+  });
+
+  it('does not fold comparisons of object table members', () => {
+    const code = `var K = { a: {}, b: [1] };
+if (K.a === K.a) live(); else dead();
+if (K.b !== K.b) dead(); else live();`;
+    const { code: output } = applyTransformation(code, 'remove-dead-code');
+
+    expect(output).toContain('K.a === K.a');
+    expect(output).toContain('K.b !== K.b');
+  });
+
+  it('still folds primitive table members', () => {
+    const code = `var K = { a: 'x' };
+if (K.a === 'x') live(); else dead();`;
+    const { code: output } = applyTransformation(code, 'remove-dead-code');
+
+    expect(output).toContain('live()');
+    expect(output).not.toContain('dead()');
+  });
+});
+
+describe('modernize', () => {
+  it('leaves concatenation with a possible object alone', () => {
+    const code = `var obj = { valueOf: function () { return 'v'; }, toString: function () { return 't'; } };
+console.log('a' + obj);`;
+    const { code: output } = applyTransformation(code, 'modernize');
+
+    expect(output).toContain("'a' + obj");
+    expect(checkEquivalence(code, output).status).toBe('equivalent');
+  });
+
+  it('turns concatenation of known primitives into a template literal', () => {
+    const code = `var n = 2, x;
+console.log('n is ' + n * 2 + ', x is ' + typeof x);`;
+
+    expect(applyTransformation(code, 'modernize').code).toContain('`n is ${n * 2}, x is ${typeof x}`');
+  });
+});
+
+describe('modernize declarations', () => {
+  it('keeps var when a hoisted function reads it before the declaration runs', () => {
+    const code = `console.log(f());
+var a = 1;
+function f() { return a; }`;
+    const { code: output } = applyTransformation(code, 'modernize');
+
+    expect(output).toContain('var a = 1');
+    expect(checkEquivalence(code, output).status).toBe('equivalent');
+  });
+
+  it('keeps var read from a closure inside a hoisted function', () => {
+    const code = `f();
+var a = 1;
+function f() { return (() => a)(); }`;
+
+    expect(applyTransformation(code, 'modernize').code).toContain('var a = 1');
+  });
+
+  it('still makes const of a var read by a later function expression', () => {
+    const code = `var a = 1;
+var g = function () { return a; };
+console.log(g());`;
+
+    expect(applyTransformation(code, 'modernize').code).toContain('const a = 1');
+  });
+});
@@ -0,0 +1,340 @@
+/**
+ * Unpacker for code that builds its real source at runtime and hands it to
+ * `eval(...)` or `new Function(...)`, such as Dean Edwards' p.a.c.k.e.r
+ * (`eval(function(p,a,c,k,e,d){...}(...))`) or `eval(atob('...'))`
+ *
+ * Only the expression that produces the payload string is executed, inside a
+ * JS-Interpreter sandbox. The sandbox has its own globals with no DOM, network
+ * or timer access, and every run is stopped after a time limit. The payload is
+ * never evaluated; it is parsed and substituted as source instead.
+ */
+
+import Interpreter from 'js-interpreter';
+import { parseCode, printCode, traverseAst, t } from './ast';
+
+/**
+ * Default time limit for a single sandbox run, in milliseconds
+ */
+const DEFAULT_TIMEOUT = 1000;
+
+/**
+ * Default number of nested packer layers to unpack
+ */
+const DEFAULT_MAX_LAYERS = 10;
+
+/**
+ * Number of interpreter steps between two checks of the time limit
+ */
+const STEPS_PER_CHECK = 1000;
+
+/**
+ * Whether Node's vm module is there to run regular expressions with a time limit
+ */
+const HAS_NODE_VM = Boolean(globalThis.process && globalThis.process.versions && globalThis.process.versions.node);
+
+/**
+ * Add the few non-standard globals packers depend on to a sandbox
+ *
+ * @param {Object} interpreter - JS-Interpreter instance
+ * @param {Object} globalObject - Sandbox global object
+ */
+function initSandbox(interpreter, globalObject) {
+  const toText = (value) => String(value);
+
+  interpreter.setProperty(globalObject, 'atob', interpreter.createNativeFunction(value => atob(toText(value))));
+  interpreter.setProperty(globalObject, 'btoa', interpreter.createNativeFunction(value => btoa(toText(value))));
+}
+
+/**
+ * Evaluate an ES5 program in the sandbox and return its completion value
+ *
+ * @param {string} source - Program whose last statement produces the result
+ * @param {number} timeout - Time limit in milliseconds
+ * @returns {*} Completion value of the program
+ * @throws {Error} When the program does not parse, throws, or runs out of time
+ */
+function runInSandbox(source, timeout) {
+  const interpreter = new Interpreter(source, initSandbox);
+
+  // Under Node a regular expression runs in a vm context that stops it after the time limit.
+  // In the browser that mode needs an asynchronous Web Worker this loop cannot wait for, so
+  // regular expressions run natively: the step loop cannot interrupt catastrophic backtracking,
+  // and only the transform engine's worker time limit stops it.
+  interpreter.REGEXP_MODE = HAS_NODE_VM ? 2 : 1;
+  interpreter.REGEXP_THREAD_TIMEOUT = timeout;
+
+  const deadline = Date.now() + timeout;
+  let steps = 0;
+
+  while (interpreter.step()) {
+    steps++;
+    if (steps % STEPS_PER_CHECK === 0 && Date.now() > deadline) {
+      throw new Error(`Sandbox timed out after ${timeout} ms`);
+    }
+  }
+
+  return interpreter.value;
+}
+
+/**
+ * Build the sandbox program for a payload expression
+ *
+ * Identifiers that refer to constant literals in the surrounding code, such as
+ * `var payload = '...'; eval(atob(payload))`, are declared in the sandbox too.
+ *
+ * @param {Object} path - Path of the payload expression
+ * @returns {string} Sandbox source ending in the payload expression
+ */
+function sandboxSource(path) {
+  const declarations = [];
+  const declared = new Set();
+
+  const collect = (identifierPath) => {
+    const { name } = identifierPath.node;
+    const binding = identifierPath.scope.getBinding(name);
+
+    if (declared.has(name) || !binding || !binding.constant || !binding.path.isVariableDeclarator() ||
+        !t.isLiteral(binding.path.node.init) || t.isTemplateLiteral(binding.path.node.init)) {
+      return;
+    }
+
+    declared.add(name);
+    declarations.push(`var ${name} = ${printCode(t.file(t.program([t.expressionStatement(binding.path.node.init)])), { minified: true })}`);
+  };
+
+  if (path.isIdentifier()) {
+    collect(path);
+  } else {
+    path.traverse({ ReferencedIdentifier: collect });
+  }
+
+  const expression = printCode(t.file(t.program([t.expressionStatement(t.cloneNode(path.node, true))])), { minified: true });
+  return [...declarations, expression].join('\n');
+}
+
+/**
+ * Check whether a callee refers to a global such as `eval` rather than a local binding
+ *
+ * @param {Object} path - Path of the callee
+ * @param {string} name - Global name
+ * @returns {boolean} True when the callee is the unshadowed global
+ */
+function isGlobal(path, name) {
+  return path.isIdentifier({ name }) && !path.scope.hasBinding(name, true);
+}
+
+/**
+ * Decide how the statements of an eval payload can replace the eval statement
+ *
+ * A direct eval in sloppy code declares its `var`s and functions in the calling
+ * scope, so such a payload can be spliced in as it is. Its let, const and class
+ * declarations stay inside the eval, which a block reproduces unless functions
+ * are declared next to them. A directive prologue makes the payload strict,
+ * and strict eval keeps every declaration to itself, so those are left alone.
+ *
+ * @param {Object} program - Program parsed from the payload
+ * @param {Object} path - Path of the eval call
+ * @returns {string|null} 'splice', 'block', or null when the call has to stay
+ */
+function evalStatementSubstitution(program, path) {
+  if (program.directives.length > 0) {
+    return null;
+  }
+
+  // Names the payload declares in the calling function's scope
+  const hoisted = new Set();
+  t.traverse(program, (node, ancestors) => {
+    if ((t.isVariableDeclaration(node, { kind: 'var' }) || t.isFunctionDeclaration(node)) &&
+        !ancestors.some(({ node: ancestor }) => t.isFunction(ancestor))) {
+      Object.keys(t.getBindingIdentifiers(node, false, true)).forEach(name => hoisted.add(name));
+    }
+  });
+
+  // A var that meets a let or const of the calling code throws instead of declaring
+  const collides = [...hoisted].some(name => {
+    const binding = path.scope.getBinding(name);
+    return binding && ['let', 'const', 'module'].includes(binding.kind);
+  });
+  if (collides || (hoisted.size > 0 && path.isInStrictMode())) {
+    return null;
+  }
+
+  const lexical = program.body.some(statement => t.isClassDeclaration(statement) ||
+    (t.isVariableDeclaration(statement) && statement.kind !== 'var'));
+  if (!lexical) {
+    return 'splice';
+  }
+  return program.body.some(statement => t.isFunctionDeclaration(statement)) ? null : 'block';
+}
+
+/**
+ * Give substituted payload nodes the position of the call they replace
+ *
+ * Positions parsed from the payload point into the payload string, so source
+ * maps would attribute the unpacked code to unrelated lines of the input.
+ *
+ * @param {Object} node - Root node parsed from the payload
+ * @param {Object} call - The eval or Function call being replaced
+ */
+function takePosition(node, call) {
+  const move = (target) => {
+    target.start = call.start;
+    target.end = call.end;
+    target.loc = call.loc;
+  };
+
+  t.traverseFast(node, inner => {
+    move(inner);
+    ['leadingComments', 'innerComments', 'trailingComments'].forEach(key => (inner[key] || []).forEach(move));
+  });
+}
+
+/**
+ * Unpack the eval and Function-constructor payloads in an AST
+ *
+ * Substituted code is traversed again, so layered packers unwrap in the same
+ * pass; `layers` remembers how deep each substituted node is nested.
+ *
+ * @param {Object} ast - AST to unpack
+ * @param {Object} context - `{ timeout, maxLayers, layers, stats }`
+ */
+function unpackLayers(ast, context) {
+  const { timeout, maxLayers, layers, stats } = context;
+
+  // Layer of the code a call was found in: 0 for the original source
+  const layerOf = (path) => {
+    let layer = 0;
+    for (let current = path; current; current = current.parentPath) {
+      layer = Math.max(layer, layers.get(current.node) || 0);
+    }
+    return layer;
+  };
+
+  // Record a substitution made for a call found at `layer`
+  const substituted = (nodes, layer) => {
+    nodes.forEach(node => layers.set(node, layer + 1));
+    stats.layersUnpacked = Math.max(stats.layersUnpacked, layer + 1);
+  };
+
+  // Run a payload expression, recording failures instead of stopping the whole pass
+  const payloadOf = (path) => {
+    try {
+      const value = runInSandbox(sandboxSource(path), timeout);
+      if (typeof value === 'string') {
+        return value;
+      }
+    } catch {
+      // Runtime errors and timeouts leave the call in place
+    }
+    stats.failures++;
+    return null;
+  };
+
+  // eval(payload)
+  const unpackEvalCall = (path) => {
+    const layer = layerOf(path);
+    if (layer >= maxLayers || path.node.arguments.length !== 1 || !t.isExpression(path.node.arguments[0])) {
+      return;
+    }
+
+    const payload = payloadOf(path.get('arguments.0'));
+    if (payload === null) {
+      return;
+    }
+
+    let program;
+    try {
+      program = parseCode(payload).program;
+    } catch {
+      stats.failures++;
+      return;
+    }
+    takePosition(program, path.node);
+
+    const substitution = path.parentPath.isExpressionStatement() ? evalStatementSubstitution(program, path) : null;
+    if (substitution === 'splice') {
+      // Direct eval runs in the calling scope, so the statements can take its place
+      substituted(program.body, layer);
+      path.parentPath.replaceWithMultiple(program.body);
+    } else if (substitution === 'block') {
+      const block = t.blockStatement(program.body);
+      substituted([block], layer);
+      path.parentPath.replaceWith(block);
+    } else if (!path.parentPath.isExpressionStatement() && program.directives.length === 0 &&
+        program.body.length === 1 && t.isExpressionStatement(program.body[0])) {
+      substituted([program.body[0].expression], layer);
+      path.replaceWith(program.body[0].expression);
+    } else {
+      stats.failures++;
+      return;
+    }
+
+    stats.evalCalls++;
+  };
+
+  // new Function('a', 'b', body) and Function(body)
+  const unpackFunctionConstructor = (path) => {
+    const layer = layerOf(path);
+    if (!isGlobal(path.get('callee'), 'Function') || layer >= maxLayers || path.node.arguments.length === 0 ||
+        !path.node.arguments.every(arg => t.isExpression(arg))) {
+      return;
+    }
+
+    const parts = path.get('arguments').map(payloadOf);
+    if (parts.includes(null)) {
+      return;
+    }
+
+    // The constructor joins the parameter strings with commas, like this wrapper does
+    const body = parts.pop();
+    let fn;
+    try {
+      fn = parseCode(`(function anonymous(${parts.join(',')}\n) {\n${body}\n})`).program.body[0].expression;
+    } catch {
+      stats.failures++;
+      return;
+    }
+    takePosition(fn, path.node);
+
+    substituted([fn], layer);
+    path.replaceWith(fn);
+    stats.functionConstructors++;
+  };
+
+  traverseAst(ast, {
+    'CallExpression|NewExpression'(path) {
+      if (path.isCallExpression() && isGlobal(path.get('callee'), 'eval')) {
+        unpackEvalCall(path);
+      } else {
+        unpackFunctionConstructor(path);
+      }
+    }
+  });
+}
+
+/**
+ * Unpack eval and Function-constructor payloads, layer by layer
+ *
+ * @param {Object} ast - Babel AST, modified in place
+ * @param {Object} options - Unpacking options
+ * @param {number} options.timeout - Time limit per sandbox run, in milliseconds
+ * @param {number} options.maxLayers - Maximum number of nested layers to unpack
+ * @returns {Object} Unpacking statistics
+ */
+export function unpackPayloads(ast, options = {}) {
+  const stats = {
+    layersUnpacked: 0,
+    evalCalls: 0,
+    functionConstructors: 0,
+    failures: 0
+  };
+
+  unpackLayers(ast, {
+    timeout: Number(options.timeout) || DEFAULT_TIMEOUT,
+    maxLayers: Number(options.maxLayers) || DEFAULT_MAX_LAYERS,
+    layers: new WeakMap(),
+    stats
+  });
+
+  return stats;
+}
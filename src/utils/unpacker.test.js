@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { parseCode, printCode } from './ast';
+import { unpackPayloads } from './unpacker';
+
+describe('unpackPayloads', () => {
+  it('unpacks a payload built with a regular expression', () => {
+    const ast = parseCode(`eval('console.log(1)#'.replace(/#$/, ''));`);
+
+    expect(unpackPayloads(ast).layersUnpacked).toBe(1);
+  });
+
+  it('stops a catastrophically backtracking regular expression at the time limit', () => {
+    const ast = parseCode(`eval('aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaac'.replace(/^(a+)+b/, ''));`);
+    const started = Date.now();
+    const stats = unpackPayloads(ast, { timeout: 200 });
+
+    expect(stats.layersUnpacked).toBe(0);
+    expect(stats.failures).toBe(1);
+    expect(Date.now() - started).toBeLessThan(2000);
+  });
+
+  it('splices a statement payload with only var declarations into the calling scope', () => {
+    const ast = parseCode(`eval('var a = 1; console.log(a);');\nconsole.log(a);`);
+    const stats = unpackPayloads(ast);
+
+    expect(stats.evalCalls).toBe(1);
+    expect(printCode(ast).replace(/\s+/g, ' ').trim()).toBe('var a = 1; console.log(a); console.log(a);');
+  });
+
+  it('keeps let, const and class declarations of a payload inside a block', () => {
+    const ast = parseCode(`let a = 0;\neval('let a = 1; class B {} console.log(a);');\nconsole.log(a);`);
+    unpackPayloads(ast);
+
+    expect(printCode(ast).replace(/\s+/g, ' ')).toMatch(/^let a = 0; \{ let a = 1; class B \{\} console\.log\(a\); \}/);
+  });
+
+  it('leaves a strict payload in place', () => {
+    const code = `eval('"use strict"; var a = 1;');`;
+    const ast = parseCode(code);
+    const stats = unpackPayloads(ast);
+
+    expect(stats.evalCalls).toBe(0);
+    expect(printCode(ast)).toContain('eval(');
+  });
+
+  it('leaves a payload in place whose var would leave a strict eval', () => {
+    const ast = parseCode(`function f() { 'use strict'; eval('var a = 1;'); }`);
+
+    expect(unpackPayloads(ast).evalCalls).toBe(0);
+  });
+
+  it('leaves a payload in place whose var meets a let of the calling code', () => {
+    const ast = parseCode(`let a = 0;\neval('var a = 1;');`);
+
+    expect(unpackPayloads(ast).evalCalls).toBe(0);
+  });
+});
@@ -7,4 +7,8 @@ export default defineConfig({
   plugins: [
     tailwindcss(),
     react()],
+  // The transformation worker is a module worker and loads Babel on demand
+  worker: {
+    format: 'es',
+  },
 })